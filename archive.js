@@ -0,0 +1,74 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * Record of the videos already downloaded, stored as one JSON entry per line: { id, file, sha256, date }.
+ * A video split into several tracks has one entry per track file.
+ */
+export class DownloadArchive {
+  /**
+   * @param {String} fileName Path to the archive file, created on the first download if it doesn't exist
+   */
+  constructor(fileName) {
+    this.fileName = fileName;
+    this.entries = [];
+    if (fs.existsSync(fileName)) {
+      this.entries = fs.readFileSync(fileName, 'utf8')
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    }
+  }
+
+  /**
+   * Find the entries of a video
+   * @param {String} id Youtube video id
+   * @returns List of entries, empty if the video was never downloaded
+   */
+  find(id) {
+    return this.entries.filter((entry) => entry.id === id);
+  }
+
+  /**
+   * Record a downloaded file, the entry is appended to the archive file right away so parallel downloads don't overwrite each other
+   * @param {String} id Youtube video id
+   * @param {String} file Path to the final file, stored absolute so that the archive can be pruned from any directory
+   * @returns A Promise containing the new entry
+   */
+  async add(id, file) {
+    const entry = { id: id, file: path.resolve(file), sha256: await checksum(file), date: new Date().toISOString() };
+    this.entries.push(entry);
+    fs.appendFileSync(this.fileName, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  /**
+   * Remove the entries whose file no longer exists, so that their videos get downloaded again
+   * @param {Boolean} dryRun Only list the entries which would be removed
+   * @returns List of the removed entries
+   */
+  prune(dryRun) {
+    const removed = this.entries.filter((entry) => !fs.existsSync(entry.file));
+    if (!dryRun && removed.length > 0) {
+      this.entries = this.entries.filter((entry) => !removed.includes(entry));
+      fs.writeFileSync(this.fileName, this.entries.map((entry) => JSON.stringify(entry) + '\n').join(''));
+    }
+    return removed;
+  }
+}
+
+/**
+ * Compute the SHA-256 checksum of a file
+ * @param {String} fileName Path to the file
+ * @returns A Promise containing the hex digest
+ */
+export function checksum(fileName) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(fileName)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
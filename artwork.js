@@ -0,0 +1,127 @@
+import ffmpeg from 'fluent-ffmpeg';
+import * as fs from 'fs';
+import * as path from 'path';
+
+import * as http from './http.js';
+import * as tempfiles from './tempfiles.js';
+
+/* Size requested from the itunes artwork server, artworkUrl100 only points to a 100x100 thumbnail */
+const ITUNES_ARTWORK_SIZE = '1200x1200';
+
+/* Picture type of a front cover in ID3 APIC frames and FLAC PICTURE blocks */
+const FRONT_COVER_PICTURE_TYPE = 3;
+
+/**
+ * List the candidate artwork urls for a song, best first
+ * @param {String} itunesArtworkUrl The artworkUrl100 returned by the itunes API, if any
+ * @param {Array} thumbnails Thumbnails of the youtube video, from videoDetails
+ * @returns List of urls to try in order
+ */
+export function artworkUrls(itunesArtworkUrl, thumbnails) {
+  const urls = [];
+  if (itunesArtworkUrl) urls.push(itunesArtworkUrl.replace(/\/\d+x\d+bb\./, '/' + ITUNES_ARTWORK_SIZE + 'bb.'));
+
+  const largest = (thumbnails || []).slice().sort((a, b) => (b.width * b.height) - (a.width * a.height));
+  largest.forEach((thumbnail) => urls.push(thumbnail.url));
+  return urls;
+}
+
+/**
+ * Download the first available image in urls to a temporary file
+ * @param {Array} urls Candidate image urls, as returned by artworkUrls
+ * @param {Boolean} square Whether to crop the image to a centered square
+ * @param {Function} imageFileName Called with the extension of the image, returns the path to write it to, the cropped image is written
+ * next to it
+ * @param {*} log Logger
+ * @returns A Promise containing the path to the image, or null if no image could be downloaded
+ */
+export async function downloadArtwork(urls, square, imageFileName, log) {
+  for (const url of urls) {
+    let response;
+    try {
+      response = await http.get(url);
+    } catch (err) {
+      log.debug('Unable to download artwork ' + url + ' due to: ' + err.message);
+      continue;
+    }
+    const image = response.statusCode === 200 ? response.body : null;
+    const info = image && imageInfo(image);
+    if (!info) {
+      log.debug('No usable artwork at ' + url + ' (' + response.statusCode + ').');
+      continue;
+    }
+
+    const imageFile = imageFileName(info.extension);
+    fs.writeFileSync(tempfiles.register(imageFile), image);
+    log.debug('Downloaded artwork ' + url + ' (' + info.width + 'x' + info.height + ') to ' + imageFile);
+    return square && info.width !== info.height ? cropToSquare(imageFile) : imageFile;
+  }
+  return null;
+}
+
+/**
+ * Build the base64 METADATA_BLOCK_PICTURE vorbis comment embedding an image as the front cover
+ * @param {String} imageFile Path to the image
+ * @returns The value of the comment
+ */
+export function vorbisPicture(imageFile) {
+  const image = fs.readFileSync(imageFile);
+  const info = imageInfo(image);
+  const mime = Buffer.from(info.mime);
+  const header = Buffer.alloc(32 + mime.length);
+
+  let offset = header.writeUInt32BE(FRONT_COVER_PICTURE_TYPE, 0);
+  offset = header.writeUInt32BE(mime.length, offset);
+  offset += mime.copy(header, offset);
+  offset = header.writeUInt32BE(0, offset); // Empty description
+  offset = header.writeUInt32BE(info.width, offset);
+  offset = header.writeUInt32BE(info.height, offset);
+  offset = header.writeUInt32BE(24, offset); // Color depth
+  offset = header.writeUInt32BE(0, offset); // Not an indexed image
+  header.writeUInt32BE(image.length, offset);
+
+  return Buffer.concat([header, image]).toString('base64');
+}
+
+/**
+ * Detect the type and dimensions of a JPEG or PNG image
+ * @param {Buffer} image Raw image bytes
+ * @returns { mime, extension, width, height }, or null if the image is not a JPEG or PNG
+ */
+export function imageInfo(image) {
+  if (image.length > 24 && image.toString('ascii', 1, 4) === 'PNG') {
+    return { mime: 'image/png', extension: 'png', width: image.readUInt32BE(16), height: image.readUInt32BE(20) };
+  }
+
+  if (image.length > 4 && image[0] === 0xFF && image[1] === 0xD8) {
+    /* Walk the JPEG segments until the start of frame which holds the dimensions */
+    let offset = 2;
+    while (offset + 9 < image.length && image[offset] === 0xFF) {
+      const marker = image[offset + 1];
+      const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+      if (isStartOfFrame) {
+        return { mime: 'image/jpeg', extension: 'jpg', width: image.readUInt16BE(offset + 7), height: image.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + image.readUInt16BE(offset + 2);
+    }
+    return { mime: 'image/jpeg', extension: 'jpg', width: 0, height: 0 };
+  }
+  return null;
+}
+
+/* Crop the image to a centered square, replacing the original file */
+function cropToSquare(imageFile) {
+  const extension = path.extname(imageFile);
+  const croppedFile = tempfiles.register(imageFile.slice(0, -extension.length) + '.square' + extension);
+  return new Promise((resolve, reject) => {
+    ffmpeg(imageFile)
+      .videoFilters('crop=min(iw\\,ih):min(iw\\,ih)')
+      .frames(1)
+      .on('error', reject)
+      .on('end', () => {
+        tempfiles.remove(imageFile);
+        resolve(croppedFile);
+      })
+      .save(croppedFile);
+  });
+}
@@ -0,0 +1,135 @@
+import ffmpeg from 'fluent-ffmpeg';
+import * as fs from 'fs';
+
+import { AUDIO_FORMATS } from './formats.js';
+import { FfmpegError } from './errors.js';
+
+/* A timestamp such as 1:02:03, 02:03 or 2:03 */
+const TIMESTAMP_REGEX = /(?:(\d{1,2}):)?(\d{1,2}):(\d{2})/;
+
+/* Cue sheet INDEX positions are in frames, 75 frames per second */
+const CUE_FRAMES_PER_SECOND = 75;
+
+/**
+ * Convert youtube chapters into a list of { title, start } chapters
+ * @param {Array} chapters Chapters of the video, from videoDetails
+ * @returns List of chapters
+ */
+export function fromYoutubeChapters(chapters) {
+  return (chapters || []).map((chapter) => ({ title: chapter.title, start: chapter.start_time }));
+}
+
+/**
+ * Parse a timestamp list, one chapter per line with the timestamp either before or after the title, as found in video descriptions.
+ * Lines without a timestamp are ignored.
+ * @param {String} text Text to parse
+ * @returns List of { title, start } chapters
+ */
+export function parseTimestamps(text) {
+  const chapters = [];
+  (text || '').split(/\r?\n/).forEach((line) => {
+    const match = TIMESTAMP_REGEX.exec(line);
+    if (!match) return;
+
+    const start = parseInt(match[1] || 0) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3]);
+    const title = (line.slice(0, match.index) + ' ' + line.slice(match.index + match[0].length))
+      .replace(/[[\]()]/g, ' ')
+      .replace(/^\s*\d{1,3}[.)]\s+/, '')
+      .replace(/^[\s\-–—:|.]+|[\s\-–—:|]+$/g, '')
+      .replace(/\s+/g, ' ');
+    if (title) chapters.push({ title: title, start: start });
+  });
+  return chapters;
+}
+
+/**
+ * Parse a cue sheet
+ * @param {String} text Content of the cue sheet
+ * @returns { album, artist, chapters } where chapters are { title, artist, start }
+ */
+export function parseCueSheet(text) {
+  const result = { album: null, artist: null, chapters: [] };
+  let current = result;
+
+  text.split(/\r?\n/).forEach((line) => {
+    const [, command, rest] = /^\s*(\S+)\s*(.*)$/.exec(line) || [];
+    const value = (rest || '').replace(/^"(.*)"$/, '$1');
+
+    if (command === 'TRACK') {
+      current = { title: null, artist: null, start: null };
+      result.chapters.push(current);
+    } else if (command === 'TITLE') {
+      if (current === result) result.album = value;
+      else current.title = value;
+    } else if (command === 'PERFORMER') {
+      current.artist = value;
+    } else if (command === 'INDEX' && current !== result && /^01\s/.test(value)) {
+      const [minutes, seconds, frames] = value.slice(3).trim().split(':').map((n) => parseInt(n));
+      current.start = minutes * 60 + seconds + frames / CUE_FRAMES_PER_SECOND;
+    }
+  });
+
+  result.chapters = result.chapters.filter((chapter) => chapter.start !== null);
+  return result;
+}
+
+/**
+ * Read a user supplied tracklist, either a cue sheet or a timestamp list
+ * @param {String} fileName Path to the tracklist
+ * @returns { album, artist, chapters }, album and artist are only set by cue sheets
+ */
+export function readTracklist(fileName) {
+  const text = fs.readFileSync(fileName, 'utf8');
+  if (/^\s*TRACK\s+\d+/m.test(text) && /^\s*INDEX\s+01/m.test(text)) return parseCueSheet(text);
+  return { album: null, artist: null, chapters: parseTimestamps(text) };
+}
+
+/**
+ * Turn chapters into numbered tracks, each track ends where the next one starts
+ * @param {Array} chapters List of { title, artist, start } chapters, in any order
+ * @param {Number} duration Duration of the whole audio in seconds
+ * @param {Array} separators Separators used to split 'Artist - Title' chapter titles, as found in DJ set tracklists
+ * @returns List of { number, title, artist, start, end } tracks, end is null for the last track when the duration is unknown
+ */
+export function toTracks(chapters, duration, separators) {
+  const sorted = chapters
+    .filter((chapter) => !duration || chapter.start < duration)
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter, i, all) => i === 0 || chapter.start > all[i - 1].start);
+
+  return sorted.map((chapter, i) => {
+    const track = { number: i + 1, title: chapter.title, artist: chapter.artist || null, start: chapter.start };
+    track.end = i + 1 < sorted.length ? sorted[i + 1].start : (duration || null);
+
+    const separator = !track.artist && (separators || []).find((sep) => chapter.title.includes(' ' + sep + ' '));
+    if (separator) {
+      const index = chapter.title.indexOf(' ' + separator + ' ');
+      track.artist = chapter.title.slice(0, index).trim();
+      track.title = chapter.title.slice(index + separator.length + 2).trim();
+    }
+    return track;
+  });
+}
+
+/**
+ * Cut a track out of an audio file without re-encoding it
+ * @param {String} fileName Path to the whole audio file
+ * @param {*} track Track to cut, as returned by toTracks
+ * @param {String} trackFileName Path of the track file to write
+ * @param {String} formatName Name of the audio format of the file
+ * @returns A Promise resolved once the track is written, rejected with an FfmpegError
+ */
+export function cutTrack(fileName, track, trackFileName, formatName) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(fileName)
+      .setStartTime(track.start)
+      .format(AUDIO_FORMATS[formatName].muxer)
+      .outputOptions('-map', '0:a', '-codec', 'copy');
+    if (track.end) command.duration(track.end - track.start);
+
+    command
+      .on('error', (err) => reject(new FfmpegError('Unable to cut track ' + track.number + ': ' + err.message, err)))
+      .on('end', () => resolve(trackFileName))
+      .save(trackFileName);
+  });
+}
@@ -0,0 +1,106 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { UsageError } from './errors.js';
+
+/* Project config file, looked up from the working directory to the root so it can be checked into a repository */
+export const RC_FILE_NAME = '.youtube-mp3rc';
+
+/**
+ * Config files applying to the working directory, from the lowest to the highest priority: the user config file
+ * ($XDG_CONFIG_HOME/youtube-mp3/config.json, ~/.config by default) then the closest .youtube-mp3rc
+ * @param {String} cwd Directory the program runs in
+ * @returns List of existing config file paths
+ */
+export function configFiles(cwd) {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  const files = [path.join(configHome, 'youtube-mp3', 'config.json'), findUp(RC_FILE_NAME, cwd)];
+  return files.filter((file) => file && fs.existsSync(file));
+}
+
+/**
+ * Read and merge config files, later files override the options of earlier ones, then apply a profile on top of them.
+ * A config file is a JSON object of option values keyed by their long name, in camelCase or kebab-case, with an optional
+ * "profiles" object of named sets of options.
+ * @param {Array} files Paths of the config files, from the lowest to the highest priority
+ * @param {String} profile Name of the profile to apply, if any
+ * @returns Option values keyed by their camelCase name
+ */
+export function loadConfig(files, profile) {
+  const options = {};
+  const profiles = {};
+  files.forEach((file) => {
+    const config = readConfigFile(file);
+    Object.keys(config).forEach((key) => {
+      if (key !== 'profiles') options[camelCase(key)] = config[key];
+    });
+    Object.keys(config.profiles || {}).forEach((name) => {
+      profiles[name] = Object.assign(profiles[name] || {}, camelCaseKeys(config.profiles[name], file, 'profile ' + name));
+    });
+  });
+
+  if (profile) {
+    if (!profiles[profile]) {
+      const names = Object.keys(profiles);
+      throw new UsageError('Unknown profile ' + profile + ', ' + (names.length ? 'available profiles are ' + names.join(', ') : 'no profile is defined') + '.');
+    }
+    Object.assign(options, profiles[profile]);
+  }
+  return options;
+}
+
+/**
+ * Find the value of an option in raw command line arguments, used for the options which must be known before parsing them
+ * @param {Array} argv Command line arguments
+ * @param {String} flag Long flag of the option, e.g. '--profile'
+ * @returns Value of the last occurrence of the option, undefined if it is not set
+ */
+export function argValue(argv, flag) {
+  let value;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--') break;
+    if (argv[i] === flag) value = argv[++i];
+    else if (argv[i].startsWith(flag + '=')) value = argv[i].slice(flag.length + 1);
+  }
+  return value;
+}
+
+function readConfigFile(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new UsageError('Unable to read config file ' + file + ': ' + err.message, err);
+  }
+  if (!isObject(config)) throw new UsageError('Config file ' + file + ' must contain a JSON object.');
+  if (config.profiles !== undefined && !isObject(config.profiles)) throw new UsageError('The profiles of config file ' + file + ' must be a JSON object.');
+  return config;
+}
+
+function camelCaseKeys(obj, file, name) {
+  if (!isObject(obj)) throw new UsageError('The ' + name + ' of config file ' + file + ' must be a JSON object.');
+  const result = {};
+  Object.keys(obj).forEach((key) => { result[camelCase(key)] = obj[key]; });
+  return result;
+}
+
+/* 'output-template' -> 'outputTemplate', the attribute name commander gives to the option */
+function camelCase(key) {
+  return key.replace(/^-+/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/* Closest file with this name in dir or one of its parents */
+function findUp(name, dir) {
+  for (;;) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return file;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
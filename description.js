@@ -0,0 +1,51 @@
+/* Lines of the descriptions youtube generates for the songs of "Topic" channels */
+const TOPIC_PROVIDER_PATTERN = /^Provided to YouTube by\s+(.+)$/im;
+const TOPIC_TRACK_SEPARATOR = ' · ';
+
+const RELEASE_DATE_PATTERN = /^\s*Release(?:d on| date)\s*:\s*(\d{4})\b/im;
+const COPYRIGHT_PATTERN = /^\s*(?:℗|©|\([PC]\))\s*(\d{4})?.*$/im;
+const LABEL_PATTERN = /^\s*(?:Record )?(?:Label|Publisher)\s*:\s*(.+)$/im;
+/* 'Composer: X', also 'Composer, Lyricist: X' or 'Lyricist/Composer: X' */
+const COMPOSER_PATTERN = /^\s*(?:[^:\n]*[ ,/])?Composer\b[^:\n]*:\s*(.+)$/gim;
+
+/**
+ * Extract song metadata from a video description, mostly from the descriptions of auto-generated "Topic" videos:
+ * the release date, the album, the label, the composers and the copyright line
+ * @param {String} description Description of the video
+ * @returns Object containing the fields found among date (the release year), album, publisher, composer and copyright
+ */
+export function parseDescription(description) {
+  const meta = {};
+  if (!description) return meta;
+
+  const released = RELEASE_DATE_PATTERN.exec(description);
+  const copyright = COPYRIGHT_PATTERN.exec(description);
+  if (released) meta.date = released[1];
+  else if (copyright && copyright[1]) meta.date = copyright[1];
+  if (copyright) meta.copyright = copyright[0].trim();
+
+  const provider = TOPIC_PROVIDER_PATTERN.exec(description);
+  const label = LABEL_PATTERN.exec(description);
+  if (label) meta.publisher = label[1].trim();
+  else if (provider) meta.publisher = provider[1].trim();
+
+  const composers = [];
+  for (const match of description.matchAll(COMPOSER_PATTERN)) {
+    const name = match[1].trim();
+    if (!composers.includes(name)) composers.push(name);
+  }
+  if (composers.length) meta.composer = composers.join(', ');
+
+  const album = provider && topicAlbum(description);
+  if (album) meta.album = album;
+  return meta;
+}
+
+/* In topic descriptions the album is the paragraph following the 'Title · Artist · Other artist' line */
+function topicAlbum(description) {
+  const paragraphs = description.split(/\r?\n\s*\r?\n/).map((paragraph) => paragraph.trim());
+  const trackIndex = paragraphs.findIndex((paragraph) => paragraph.includes(TOPIC_TRACK_SEPARATOR));
+  const album = trackIndex >= 0 ? paragraphs[trackIndex + 1] : null;
+  if (!album || album.includes('\n') || COPYRIGHT_PATTERN.test(album) || RELEASE_DATE_PATTERN.test(album)) return null;
+  return album;
+}
@@ -0,0 +1,224 @@
+import * as fs from 'fs';
+
+import * as tempfiles from './tempfiles.js';
+import { NetworkError, OutputWriteError, YoutubeMp3Error, isNetworkError } from './errors.js';
+
+export const DEFAULT_RETRIES = 5;
+export const DEFAULT_STALL_TIMEOUT = 30;
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const LOCK_POLL_MS = 500;
+
+/**
+ * Delay before retrying after the given number of failed attempts, doubled after every attempt
+ * @param {Number} attempt Number of attempts which already failed, starting at 0
+ * @returns Delay in milliseconds
+ */
+export function backoffDelay(attempt) {
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt), BACKOFF_MAX_MS);
+}
+
+/**
+ * Whether an operation which failed with this error is worth retrying: network failures are, while unavailable videos or failed writes
+ * would fail the same way again
+ * @param {Error} err Error of the failed attempt
+ * @returns True if the operation should be retried
+ */
+export function isRetriable(err) {
+  if (err instanceof NetworkError) return true;
+  return !(err instanceof YoutubeMp3Error) && isNetworkError(err);
+}
+
+/**
+ * Run an async operation, retrying it with an exponential backoff when it fails with a retriable error
+ * @param {Function} fn Operation to run, returns a Promise
+ * @param {*} options { retries, onRetry } where onRetry is called with the error, the attempt number and the delay before the retry
+ * @returns A Promise containing the result of the first successful attempt, rejected with the last error once retries are exhausted
+ */
+export async function withRetries(fn, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= options.retries || !isRetriable(err)) throw err;
+      const delay = backoffDelay(attempt);
+      if (options.onRetry) options.onRetry(err, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Download a stream into a file. The data is written to a '.part' file next to it, when the connection drops or stalls the download
+ * resumes from the last byte written by opening a new stream at that offset, after an exponential backoff. The retry count is reset
+ * every time an attempt makes progress. The '.part' file is renamed to fileName once complete, it is left in place when the download
+ * fails so that a later download of the same file resumes it. Jobs downloading the same file at the same time have to hold its lockFile.
+ * @param {Function} openStream Called with the byte offset to start at, returns a readable stream of the data from that offset
+ * @param {String} fileName Path to the file to write
+ * @param {*} options { retries, stallTimeout, totalSize, tee, signal, onProgress, onRetry }: stallTimeout is the number of seconds without
+ * data after which the connection is considered stalled, totalSize the expected size in bytes if known, a download ending before it is
+ * resumed. tee is an optional writable stream receiving the whole file while it downloads, starting with the content of an existing
+ * '.part' file, it is ended once the download completes. signal is an optional AbortSignal stopping the download with its reason.
+ * onProgress is called with the number of bytes downloaded and totalSize, onRetry like for withRetries.
+ * @returns A Promise containing fileName
+ */
+export async function downloadToFile(openStream, fileName, options) {
+  const partFileName = fileName + '.part';
+  if (options.tee && fileSize(partFileName) > 0) await copyTo(partFileName, options.tee, options.signal);
+
+  let failures = 0;
+  for (;;) {
+    if (options.signal && options.signal.aborted) throw options.signal.reason;
+    const start = fileSize(partFileName);
+    try {
+      await downloadFrom(openStream, partFileName, start, options);
+      break;
+    } catch (err) {
+      if (options.signal && options.signal.aborted) throw options.signal.reason;
+      if (fileSize(partFileName) > start) failures = 0;
+      if (failures >= options.retries || !isRetriable(err)) throw err;
+      const delay = backoffDelay(failures++);
+      if (options.onRetry) options.onRetry(err, failures, delay);
+      await sleep(delay, options.signal);
+    }
+  }
+
+  fs.renameSync(partFileName, fileName);
+  if (options.tee) options.tee.end();
+  return fileName;
+}
+
+/**
+ * Take an exclusive lock on a file so that a single job at a time downloads it: '.lock' is created next to it with the id of the process,
+ * if another job holds it the lock is awaited. A lock left by a process which no longer runs is taken over.
+ * @param {String} fileName Path to the file to lock
+ * @param {AbortSignal} signal Optional signal to stop waiting with its reason
+ * @returns A Promise containing a function releasing the lock
+ */
+export async function lockFile(fileName, signal) {
+  const lockFileName = fileName + '.lock';
+  for (;;) {
+    if (signal && signal.aborted) throw signal.reason;
+    try {
+      fs.writeFileSync(lockFileName, String(process.pid), { flag: 'wx' });
+      tempfiles.register(lockFileName);
+      return () => tempfiles.remove(lockFileName);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw new OutputWriteError('Unable to lock ' + fileName + ': ' + err.message, err);
+    }
+    if (isStale(lockFileName)) tempfiles.remove(lockFileName);
+    else await sleep(LOCK_POLL_MS, signal);
+  }
+}
+
+/* Whether the process which created a lock file is gone, locks of this process are held by other jobs */
+function isStale(lockFileName) {
+  let pid;
+  try {
+    pid = parseInt(fs.readFileSync(lockFileName, 'utf8'), 10);
+  } catch (err) {
+    /* Released in the meantime */
+    return false;
+  }
+  if (!pid || pid === process.pid) return false;
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === 'ESRCH';
+  }
+}
+
+/* Append the stream opened at the start offset to the part file and the tee, rejects if it errors, stalls, is aborted or ends before
+totalSize */
+function downloadFrom(openStream, partFileName, start, options) {
+  return new Promise((resolve, reject) => {
+    const stream = openStream(start);
+    const out = fs.createWriteStream(partFileName, { flags: 'a' });
+    const stallTimeoutMs = (options.stallTimeout || DEFAULT_STALL_TIMEOUT) * 1000;
+    let downloaded = start;
+    let failure = null;
+    let timer = null;
+
+    const fail = (err) => {
+      if (failure) return;
+      failure = err;
+      clearTimeout(timer);
+      stream.unpipe();
+      stream.destroy();
+      out.end();
+    };
+    const watchStall = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fail(new NetworkError('Download stalled, no data received for ' + stallTimeoutMs / 1000 + ' seconds.')), stallTimeoutMs);
+    };
+
+    const abort = () => fail(options.signal.reason);
+    if (options.signal) options.signal.addEventListener('abort', abort);
+
+    stream
+      .on('data', (chunk) => {
+        downloaded += chunk.length;
+        watchStall();
+        if (options.onProgress) options.onProgress(downloaded, options.totalSize);
+      })
+      .on('error', (err) => fail(err));
+    /* The stream only flows as fast as the slowest of the part file and the tee */
+    if (options.tee) stream.pipe(options.tee, { end: false });
+    stream
+      .pipe(out)
+      .on('error', (err) => fail(new OutputWriteError('Unable to write ' + partFileName + ': ' + err.message, err)))
+      .on('close', () => {
+        clearTimeout(timer);
+        if (options.signal) options.signal.removeEventListener('abort', abort);
+        const size = fileSize(partFileName);
+        if (failure) reject(failure);
+        else if (options.totalSize && size < options.totalSize) reject(new NetworkError('Connection closed after ' + size + ' of ' + options.totalSize + ' bytes.'));
+        else resolve();
+      });
+    watchStall();
+  });
+}
+
+/* Write the content of a file to a stream without ending it, rejects if the signal aborts */
+function copyTo(fileName, stream, signal) {
+  return new Promise((resolve, reject) => {
+    const input = fs.createReadStream(fileName);
+    const abort = () => {
+      input.unpipe();
+      input.destroy();
+      reject(signal.reason);
+    };
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+    input
+      .on('error', (err) => reject(new OutputWriteError('Unable to read ' + fileName + ': ' + err.message, err)))
+      .on('end', () => {
+        if (signal) signal.removeEventListener('abort', abort);
+        resolve();
+      })
+      .pipe(stream, { end: false });
+  });
+}
+
+/* Size of a file in bytes, 0 if it does not exist */
+function fileSize(fileName) {
+  try {
+    return fs.statSync(fileName).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/* Resolves after ms milliseconds, or as soon as the optional signal aborts */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    }
+    if (signal) signal.addEventListener('abort', done);
+  });
+}
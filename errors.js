@@ -0,0 +1,143 @@
+/**
+ * Process exit codes, every error type has its own so that scripts can tell failures apart.
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  UNKNOWN: 25,
+  USAGE: 55,
+  INVALID_URL: 60,
+  VIDEO_UNAVAILABLE: 61,
+  AGE_RESTRICTED: 62,
+  NO_AUDIO_FORMAT: 63,
+  NETWORK: 64,
+  FFMPEG: 65,
+  TAG_WRITE: 66,
+  OUTPUT_WRITE: 67,
+  MISSING_METADATA: 68
+};
+
+/* Error codes of the node network stack which mean the connection itself failed */
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+
+/**
+ * Base class of the errors raised by the download pipeline
+ */
+export class YoutubeMp3Error extends Error {
+  /**
+   * @param {String} message Error message, shown to the user
+   * @param {Error} cause Underlying error, if any
+   * @param {Number} exitCode Exit code of the process when this error stops it
+   */
+  constructor(message, cause, exitCode) {
+    super(message);
+    this.name = this.constructor.name;
+    this.cause = cause;
+    this.exitCode = exitCode || EXIT_CODES.UNKNOWN;
+  }
+}
+
+export class UsageError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.USAGE);
+  }
+}
+
+export class InvalidUrlError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.INVALID_URL);
+  }
+}
+
+export class VideoUnavailableError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.VIDEO_UNAVAILABLE);
+  }
+}
+
+export class AgeRestrictedError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.AGE_RESTRICTED);
+  }
+}
+
+export class NoAudioFormatError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.NO_AUDIO_FORMAT);
+  }
+}
+
+export class NetworkError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.NETWORK);
+  }
+}
+
+export class FfmpegError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.FFMPEG);
+  }
+}
+
+export class TagWriteError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.TAG_WRITE);
+  }
+}
+
+export class OutputWriteError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.OUTPUT_WRITE);
+  }
+}
+
+export class MissingMetadataError extends YoutubeMp3Error {
+  constructor(message, cause) {
+    super(message, cause, EXIT_CODES.MISSING_METADATA);
+  }
+}
+
+/**
+ * Whether an error comes from a failed connection or an HTTP error status rather than from the content of the response
+ * @param {Error} err Error to check
+ * @returns True for network errors
+ */
+export function isNetworkError(err) {
+  if (!err) return false;
+  if (NETWORK_ERROR_CODES.includes(err.code)) return true;
+  /* miniget, used by ytdl-core and ytpl, reports HTTP errors with their status code */
+  if (err.statusCode >= 400) return true;
+  return /timed? ?out|socket hang up/i.test(err.message || '');
+}
+
+/**
+ * Turn an error raised by ytdl-core or ytpl into a typed error, based on its message as they only throw plain errors
+ * @param {Error} err Error raised while fetching the video
+ * @param {String} url Url of the video or playlist
+ * @returns The typed error, or err itself if it is not recognized
+ */
+export function fromYoutubeError(err, url) {
+  if (!err || err instanceof YoutubeMp3Error) return err;
+  const message = err.message || String(err);
+  if (/No video id found|does not match expected format|Not a YouTube domain|Unable to find a id|Unknown or invalid/i.test(message)) {
+    return new InvalidUrlError('Invalid youtube url ' + url + ': ' + message, err);
+  }
+  if (/confirm your age|age[- ]restricted|inappropriate for some users/i.test(message)) {
+    return new AgeRestrictedError('Video ' + url + ' is age restricted: ' + message, err);
+  }
+  if (/private|unavailable|not available|removed|terminated|does not exist|copyright/i.test(message)) {
+    return new VideoUnavailableError('Video ' + url + ' is unavailable: ' + message, err);
+  }
+  if (isNetworkError(err)) {
+    return new NetworkError('Network error while downloading ' + url + ': ' + message, err);
+  }
+  return err;
+}
+
+/**
+ * Exit code of the process when an error stops it
+ * @param {Error} err Error which stopped the process
+ * @returns Exit code of the error type, EXIT_CODES.UNKNOWN for untyped errors
+ */
+export function exitCodeOf(err) {
+  return (err && err.exitCode) || EXIT_CODES.UNKNOWN;
+}
@@ -0,0 +1,122 @@
+/**
+ * Supported output audio formats.
+ * - muxer: ffmpeg output format
+ * - codec: ffmpeg encoder used when the audio has to be re-encoded
+ * - sourceCodecs: audio codecs, as named by youtube or ffprobe, which can be copied into this container without re-encoding
+ * - lossless: whether the codec ignores the bitrate setting
+ * - tagStyle: kind of tags stored in this container
+ * - metadataTarget: where ffmpeg stores the tags, ogg containers store their vorbis comments on the audio stream instead of globally
+ * - coverArt: how the cover is embedded, 'attached_pic' as an attached picture stream (APIC in mp3, covr in m4a, PICTURE block in flac),
+ *   'vorbis_picture' as a METADATA_BLOCK_PICTURE vorbis comment, null when the container can't hold one
+ * - replayGain: whether ReplayGain tags can be written, ffmpeg can't write the freeform atoms used by m4a and wav has no such tags
+ * - lyrics: how lyrics are embedded, 'id3' as USLT/SYLT frames written by lyrics.js since ffmpeg can't, 'tag' as a lyrics tag
+ *   written by ffmpeg, null when the container has no lyrics tag
+ */
+export const AUDIO_FORMATS = {
+  mp3: {
+    extension: 'mp3',
+    muxer: 'mp3',
+    codec: 'libmp3lame',
+    sourceCodecs: ['mp3'],
+    lossless: false,
+    tagStyle: 'id3',
+    metadataTarget: 'global',
+    coverArt: 'attached_pic',
+    replayGain: true,
+    lyrics: 'id3',
+    tagOptions: ['-id3v2_version', '3']
+  },
+  m4a: {
+    extension: 'm4a',
+    muxer: 'ipod',
+    codec: 'aac',
+    sourceCodecs: ['mp4a', 'aac'],
+    lossless: false,
+    tagStyle: 'mp4',
+    metadataTarget: 'global',
+    coverArt: 'attached_pic',
+    replayGain: false,
+    lyrics: 'tag',
+    tagOptions: []
+  },
+  opus: {
+    extension: 'opus',
+    muxer: 'opus',
+    codec: 'libopus',
+    sourceCodecs: ['opus'],
+    lossless: false,
+    tagStyle: 'vorbis',
+    metadataTarget: 'stream',
+    coverArt: 'vorbis_picture',
+    replayGain: true,
+    lyrics: 'tag',
+    tagOptions: []
+  },
+  ogg: {
+    extension: 'ogg',
+    muxer: 'ogg',
+    codec: 'libvorbis',
+    sourceCodecs: ['vorbis'],
+    lossless: false,
+    tagStyle: 'vorbis',
+    metadataTarget: 'stream',
+    coverArt: 'vorbis_picture',
+    replayGain: true,
+    lyrics: 'tag',
+    tagOptions: []
+  },
+  flac: {
+    extension: 'flac',
+    muxer: 'flac',
+    codec: 'flac',
+    sourceCodecs: ['flac'],
+    lossless: true,
+    tagStyle: 'vorbis',
+    metadataTarget: 'global',
+    coverArt: 'attached_pic',
+    replayGain: true,
+    lyrics: 'tag',
+    tagOptions: []
+  },
+  wav: {
+    extension: 'wav',
+    muxer: 'wav',
+    codec: 'pcm_s16le',
+    sourceCodecs: [],
+    lossless: true,
+    tagStyle: 'riff',
+    metadataTarget: 'global',
+    coverArt: null,
+    replayGain: false,
+    lyrics: null,
+    tagOptions: []
+  }
+};
+
+export const DEFAULT_AUDIO_FORMAT = 'mp3';
+
+/**
+ * Check whether the audio of the youtube format can be copied as is into the output format
+ * @param {*} sourceFormat ytdl format which is downloaded, or the format of a local file
+ * @param {String} formatName Name of the output format, a key of AUDIO_FORMATS
+ * @param {Number} bitrate Bitrate requested by the user, if any
+ * @returns True if the audio can be remuxed without re-encoding
+ */
+export function canRemux(sourceFormat, formatName, bitrate) {
+  const format = AUDIO_FORMATS[formatName];
+  if (bitrate && parseInt(bitrate) !== sourceFormat.audioBitrate) return false;
+
+  const codec = (sourceFormat.audioCodec || '').toLowerCase();
+  return format.sourceCodecs.some((sourceCodec) => codec.startsWith(sourceCodec));
+}
+
+/**
+ * Add the extension of the output format to fileName unless it already has it
+ * @param {String} fileName File name
+ * @param {String} formatName Name of the output format
+ * @returns File name ending with the extension of the format
+ */
+export function withExtension(fileName, formatName) {
+  const extension = '.' + AUDIO_FORMATS[formatName].extension;
+  return fileName.toLowerCase().endsWith(extension) ? fileName : fileName + extension;
+}
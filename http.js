@@ -0,0 +1,48 @@
+import * as http from 'http';
+import * as https from 'https';
+
+export const USER_AGENT = 'youtube-mp3 (https://github.com/efossier/youtube-mp3)';
+
+const MAX_REDIRECTS = 5;
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Perform a GET request, following redirects
+ * @param {String} url Url to fetch, http and https are supported
+ * @param {*} headers Additional request headers
+ * @returns A Promise containing { statusCode, headers, body } where body is a Buffer
+ */
+export function get(url, headers, redirects) {
+  redirects = redirects || 0;
+  const client = url.startsWith('https:') ? https : http;
+  const requestHeaders = Object.assign({ 'User-Agent': USER_AGENT }, headers);
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers: requestHeaders }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < MAX_REDIRECTS) {
+        res.resume();
+        resolve(get(new URL(res.headers.location, url).toString(), headers, redirects + 1));
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error('Request to ' + url + ' timed out.')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Perform a GET request and parse the JSON response
+ * @param {String} url Url to fetch
+ * @param {*} headers Additional request headers
+ * @returns A Promise containing { statusCode, body } where body is the parsed JSON, or null if the request failed
+ */
+export async function getJson(url, headers) {
+  const response = await get(url, Object.assign({ 'Accept': 'application/json' }, headers));
+  if (response.statusCode !== 200) return { statusCode: response.statusCode, body: null };
+  return { statusCode: response.statusCode, body: JSON.parse(response.body.toString('utf8')) };
+}
@@ -0,0 +1,90 @@
+import * as fs from 'fs';
+
+/* Text encoding byte of UTF-16 with a byte order mark */
+export const UTF16 = Buffer.from([1]);
+
+/**
+ * Replace frames of the ID3v2.3 tag of an mp3 file, for the frames ffmpeg can't write or to change a single tag without rewriting the
+ * file. The existing frames with the same ids are removed and the new ones are appended after the remaining frames, in place of the
+ * padding.
+ * @param {String} fileName Path to the mp3 file, tagged by tags.writeTags
+ * @param {Array} frames Frames to write, as returned by frame
+ * @throws {Error} If the file has no ID3v2.3 tag or can't be written
+ */
+export function replaceFrames(fileName, frames) {
+  const data = fs.readFileSync(fileName);
+  if (data.toString('latin1', 0, 3) !== 'ID3' || data[3] !== 3 || data[5] !== 0) throw new Error('no plain ID3v2.3 tag found');
+  const tagEnd = 10 + readSyncsafe(data, 6);
+  const replaced = frames.map((newFrame) => newFrame.toString('latin1', 0, 4));
+
+  /* Frames are followed by zero padding up to the end of the tag */
+  const kept = [];
+  let offset = 10;
+  while (offset + 10 <= tagEnd && data[offset] !== 0) {
+    const end = offset + 10 + data.readUInt32BE(offset + 4);
+    if (!replaced.includes(data.toString('latin1', offset, offset + 4))) kept.push(data.subarray(offset, end));
+    offset = end;
+  }
+
+  const body = Buffer.concat(kept.concat(frames));
+  const header = Buffer.from(data.subarray(0, 10));
+  writeSyncsafe(header, 6, body.length);
+  fs.writeFileSync(fileName, Buffer.concat([header, body, data.subarray(tagEnd)]));
+}
+
+/**
+ * Build an ID3v2.3 frame
+ * @param {String} id Frame id, like TRCK or USLT
+ * @param {Array} parts Buffers making up the content of the frame
+ * @returns The frame
+ */
+export function frame(id, parts) {
+  const content = Buffer.concat(parts);
+  const header = Buffer.alloc(10);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32BE(content.length, 4);
+  return Buffer.concat([header, content]);
+}
+
+/**
+ * Build a text information frame
+ * @param {String} id Frame id, starting with T
+ * @param {String} text Value of the frame
+ * @returns The frame
+ */
+export function textFrame(id, text) {
+  return frame(id, [UTF16, utf16(text)]);
+}
+
+/**
+ * Encode a string in UTF-16 with a byte order mark
+ * @param {String} text Text to encode
+ * @param {Boolean} terminated Whether to add the null terminator, needed by strings followed by other fields
+ * @returns The encoded text
+ */
+export function utf16(text, terminated) {
+  return Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le'), Buffer.alloc(terminated ? 2 : 0)]);
+}
+
+/**
+ * Encode a 32 bits big endian integer
+ * @param {Number} value Integer to encode
+ * @returns The encoded integer
+ */
+export function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+/* ID3 sizes use 7 bits per byte */
+function readSyncsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+function writeSyncsafe(buffer, offset, value) {
+  for (let i = 3; i >= 0; i--) {
+    buffer[offset + i] = value & 0x7F;
+    value >>= 7;
+  }
+}
@@ -0,0 +1,1151 @@
+import ytdl from 'ytdl-core';
+import ffmpeg from 'fluent-ffmpeg';
+import ffProbe from 'node-ffprobe';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { PassThrough } from 'stream';
+import fsExtra from 'fs-extra';
+import prettyBytes from 'pretty-bytes';
+import sanitize from 'sanitize-filename';
+
+import * as util from './util.js';
+import * as playlist from './playlist.js';
+import * as metadataUtil from './metadata.js';
+import * as formats from './formats.js';
+import * as tags from './tags.js';
+import * as artwork from './artwork.js';
+import * as providers from './providers/index.js';
+import * as chapters from './chapters.js';
+import * as titleParser from './title.js';
+import * as description from './description.js';
+import * as local from './local.js';
+import * as lyrics from './lyrics.js';
+import * as streams from './streams.js';
+import * as output from './output.js';
+import * as postprocess from './postprocess.js';
+import * as errors from './errors.js';
+import * as tempfiles from './tempfiles.js';
+import { withRetries, downloadToFile, lockFile, DEFAULT_RETRIES, DEFAULT_STALL_TIMEOUT } from './download.js';
+import { DownloadArchive } from './archive.js';
+
+export * from './errors.js';
+export { findAudioFiles, findMediaFiles } from './local.js';
+
+/* Song metadata fields written as tags */
+const METADATA_FIELDS = ['title', 'artist', 'album', 'genre', 'date', 'publisher', 'composer', 'copyright'];
+/* Tags of retagged files which are rewritten by ffmpeg or replaced by the new cover */
+const UNKEPT_TAGS = ['encoder', 'major_brand', 'minor_version', 'compatible_brands', 'metadata_block_picture'];
+
+/**
+ * Default download options, see the README for the meaning of each one
+ */
+export const DEFAULT_OPTIONS = {
+  format: formats.DEFAULT_AUDIO_FORMAT,
+  separator: ['-', '—'],
+  stripPattern: [],
+  onConflict: 'overwrite',
+  video: false,
+  lowQuality: false,
+  artwork: true,
+  squareArtwork: false,
+  trimSilence: false,
+  splitChapters: false,
+  retries: DEFAULT_RETRIES,
+  stallTimeout: DEFAULT_STALL_TIMEOUT,
+  force: false,
+  missingMetadata: 'fail',
+  providers: providers.DEFAULT_PROVIDERS,
+  matchThreshold: providers.DEFAULT_MATCH_THRESHOLD,
+  lyricsLanguage: lyrics.DEFAULT_LYRICS_LANGUAGES,
+  autoCaptions: false
+};
+
+/* Logger used when none is given, the API is silent unless asked otherwise */
+const SILENT_LOG = { debug() {}, info() {}, warning() {}, error() {} };
+
+/**
+ * Download a youtube video, convert it and tag it
+ * @param {String} url Url of the youtube video
+ * @param {*} options Download options, see DEFAULT_OPTIONS and Downloader
+ * @returns A Promise containing the result of Downloader.download
+ */
+export function download(url, options) {
+  return new Downloader(options).download(url);
+}
+
+/**
+ * Downloads videos with a set of options. Use a single downloader for many videos so that they share the metadata providers, which
+ * throttle their requests, and the download archive.
+ */
+export class Downloader {
+  /**
+   * @param {*} options Download options, every option of the command line in camelCase (format, outputTemplate, splitChapters...)
+   * except the ones about prompting and printing, along with:
+   * - logger: object with debug, info and warning methods, like Log, nothing is logged by default
+   * - onEvent: called with every event of the pipeline, { event, url, id, ... } (progress, metadata, tags)
+   * - resolveMetadata: called in place of the --missing-metadata policy to complete the song metadata, see Job.gatherMetadata
+   * - trackNum, trackCount: track number written to the file, and optionally the track count, instead of the ones of its album
+   * - discogsToken: personal access token of the discogs provider, read from $DISCOGS_TOKEN when not given
+   * @throws {UsageError} If the options are invalid
+   */
+  constructor(options) {
+    this.options = normalizeOptions(options);
+    this.log = this.options.logger || SILENT_LOG;
+    try {
+      /* Read here rather than as the option default so that the token isn't printed by --help */
+      const discogsToken = this.options.discogsToken === undefined ? process.env.DISCOGS_TOKEN : this.options.discogsToken;
+      this.providers = providers.createProviders(this.options.providers, { log: this.log, discogsToken: discogsToken });
+    } catch (err) {
+      throw new errors.UsageError(err.message, err);
+    }
+    try {
+      this.archive = this.options.downloadArchive ? new DownloadArchive(this.options.downloadArchive) : null;
+    } catch (err) {
+      throw new errors.UsageError('Unable to read download archive ' + this.options.downloadArchive + ': ' + err.message, err);
+    }
+  }
+
+  /**
+   * Run the whole download -> convert -> tag pipeline for a single video
+   * @param {String} url Url of the youtube video
+   * @param {*} overrides Options overriding the ones of the downloader for this video only, typically onEvent
+   * @returns A Promise containing { id, filename, runtime, metadata }, metadata is the ffprobe data of the final file and is not set in
+   * video only mode. When the video is split into tracks, filename is their directory and tracks the ffprobe data of every track.
+   * When the video is already in the download archive, { filename, skipped } is returned instead.
+   */
+  download(url, overrides) {
+    return new Job(this, url, Object.assign({}, this.options, overrides)).run();
+  }
+
+  /**
+   * List the formats of a video which contain audio, from the most to the least preferred
+   * @param {String} url Url of the youtube video
+   * @returns A Promise containing { id, title, formats, selected }: formats are described by streams.describeFormat and selected is the
+   * itag of the format which would be downloaded with the current options, null if none matches the format selector
+   */
+  async listFormats(url) {
+    const info = await withRetries(() => ytdl.getInfo(url).catch((err) => {
+      throw errors.fromYoutubeError(err, url);
+    }), { retries: this.options.retries });
+    const selected = streams.selectFormat(info.formats, this.options);
+    return {
+      id: info.videoDetails.videoId,
+      title: info.videoDetails.title,
+      formats: streams.rankFormats(info.formats, this.options).map((format) => streams.describeFormat(format)),
+      selected: selected ? selected.itag : null
+    };
+  }
+
+  /**
+   * Run a local video or audio file through the convert -> tag pipeline, like a downloaded video
+   * @param {String} file Path to the file
+   * @param {*} overrides Options overriding the ones of the downloader for this file only
+   * @returns A Promise containing { file, filename, runtime, metadata } like download
+   */
+  convert(file, overrides) {
+    return new ConvertJob(this, file, Object.assign({}, this.options, overrides, { video: false })).run();
+  }
+
+  /**
+   * Look the metadata of an existing audio file up again and rewrite its tags in place. Its current tags are the starting point of the
+   * lookup, along with its file name when they are missing.
+   * @param {String} file Path to the audio file, in one of the output formats
+   * @param {*} overrides Options overriding the ones of the downloader for this file only, along with rename to also rename the file
+   * with the output template, relative to its directory, and dryRun to only resolve the metadata
+   * @returns A Promise containing { file, filename, tags, metadata }: filename is the new path of the file, tags the song metadata and
+   * metadata the ffprobe data of the tagged file, which is not set in dry run mode
+   */
+  tag(file, overrides) {
+    return new TagJob(this, file, Object.assign({}, this.options, overrides)).run();
+  }
+}
+
+/**
+ * Fill in the default options and check them
+ * @param {*} options Download options
+ * @returns The complete options
+ * @throws {UsageError} If an option is invalid
+ */
+export function normalizeOptions(options) {
+  options = Object.assign({}, DEFAULT_OPTIONS, util.filter(options || {}, (k, v) => v !== undefined));
+
+  if (!formats.AUDIO_FORMATS[options.format]) throw new errors.UsageError('Unknown audio format ' + options.format);
+  if (!output.CONFLICT_POLICIES.includes(options.onConflict)) throw new errors.UsageError('Unknown conflict policy ' + options.onConflict);
+  if (!(options.missingMetadata in metadataUtil.MISSING_METADATA_POLICIES)) {
+    throw new errors.UsageError('Unknown missing metadata policy ' + options.missingMetadata);
+  }
+  if (options.normalize === true) options.normalize = 'loudnorm';
+  if (options.normalize && !postprocess.NORMALIZE_MODES.includes(options.normalize)) {
+    throw new errors.UsageError('Unknown normalization mode ' + options.normalize);
+  }
+  if (options.lyrics === true) options.lyrics = 'plain';
+  if (options.lyrics && !lyrics.LYRICS_MODES.includes(options.lyrics)) throw new errors.UsageError('Unknown lyrics mode ' + options.lyrics);
+  if (options.bitrate && (options.bitrate < 32 || options.bitrate > 320)) throw new errors.UsageError('Bitrate must be between 32 and 320 kbps');
+  if (!(options.retries >= 0)) throw new errors.UsageError('Number of retries must be a positive integer');
+  if (!(options.stallTimeout > 0)) throw new errors.UsageError('Stall timeout must be a positive number of seconds');
+  if (!(options.matchThreshold >= 0 && options.matchThreshold <= 1)) throw new errors.UsageError('Match threshold must be between 0 and 1');
+  if (options.formatSelect) {
+    try {
+      streams.parseSelector(options.formatSelect);
+    } catch (err) {
+      throw new errors.UsageError('Invalid format selector: ' + err.message, err);
+    }
+  }
+  try {
+    titleParser.compilePatterns(options.stripPattern);
+  } catch (err) {
+    throw new errors.UsageError('Invalid title strip pattern: ' + err.message, err);
+  }
+  if (options.start && options.end && util.parseTimemark(options.start) >= util.parseTimemark(options.end)) {
+    throw new errors.UsageError('--start must be before --end');
+  }
+  if ([options.fadeIn, options.fadeOut].some((fade) => fade !== undefined && !(fade > 0))) {
+    throw new errors.UsageError('Fade durations must be positive numbers of seconds');
+  }
+  if (options.tracklist) {
+    options.splitChapters = true;
+    try {
+      chapters.readTracklist(options.tracklist);
+    } catch (err) {
+      throw new errors.UsageError('Unable to read tracklist ' + options.tracklist + ': ' + err.message, err);
+    }
+  }
+  /* Chapter times are relative to the whole video, cutting its beginning would shift them */
+  if (options.splitChapters && (options.start || options.end || options.trimSilence)) {
+    throw new errors.UsageError('--start, --end and --trim-silence cannot be used with --split-chapters or --tracklist');
+  }
+  if (options.metadataJson) {
+    try {
+      metadataUtil.readMetadataJson(options.metadataJson);
+    } catch (err) {
+      throw new errors.UsageError('Unable to read metadata file ' + options.metadataJson + ': ' + err.message, err);
+    }
+  }
+  return options;
+}
+
+/**
+ * Pipeline of a single video
+ */
+class Job {
+  /**
+   * @param {Downloader} downloader Downloader running the job, holds the shared metadata providers and download archive
+   * @param {String} url Url of the youtube video
+   * @param {*} options Download options
+   */
+  constructor(downloader, url, options) {
+    this.downloader = downloader;
+    this.url = url;
+    this.id = playlist.videoId(url);
+    this.options = options;
+    this.log = downloader.log;
+    /* Timed lines and language of the captions embedded as lyrics, set by writeId3Tags */
+    this.lyrics = null;
+    /* Directory of the intermediate files, created by tempFile */
+    this.tempDir = null;
+  }
+
+  /**
+   * Run the pipeline, recording the written files in the download archive
+   * @returns A Promise containing the result of Downloader.download
+   */
+  async run() {
+    const archive = this.downloader.archive;
+    /* Checked before anything is downloaded so archived videos cost no network request */
+    const archived = archive && this.id ? archive.find(this.id) : [];
+    if (archived.length > 0 && !this.options.force) {
+      this.log.debug('Video ' + this.id + ' is in the download archive, skipping.');
+      return { id: this.id, filename: archived[0].file, skipped: true };
+    }
+
+    const result = await this.downloadAndConvert().finally(() => this.removeTempDir());
+    if (archive) {
+      const files = result.tracks ? result.tracks.map((track) => track.filename) : [result.filename];
+      for (const file of files) await archive.add(this.id || result.id, file);
+    }
+    return result;
+  }
+
+  /**
+   * Download the video and convert it, this is the part of run which actually does the work
+   * @returns A Promise containing the result of run, along with the video id
+   */
+  async downloadAndConvert() {
+    const options = this.options;
+    const startTime = util.nowSeconds();
+
+    const info = await this.downloadMetadata();
+    this.id = info.id;
+    if (options.video) return { id: info.id, filename: await this.saveVideo(info) };
+
+    const mp3File = await this.convertVideoToMp3(info);
+
+    /* Save the endTime here because this is the real time it took to download and convert to an MP3 */
+    const endTime = util.nowSeconds();
+
+    if (options.splitChapters) {
+      const tracklist = this.findChapters(info);
+      const tracks = chapters.toTracks(tracklist.chapters, info.duration, options.separator);
+      if (tracks.length > 1) {
+        const trackMetadata = await this.splitIntoTracks(mp3File, info, tracklist, tracks);
+        return { id: info.id, filename: path.dirname(trackMetadata[0].filename), runtime: endTime - startTime, tracks: trackMetadata };
+      }
+      this.log.info('No chapters found in \'' + info.title + '\', keeping it as a single file.');
+    }
+
+    const id3Tags = await this.writeId3Tags(mp3File, info);
+    const finalMetadata = await this.finalizeMp3(id3Tags, info, mp3File);
+    if (this.lyrics && lyrics.needsSidecar(options.lyrics, options.format)) {
+      this.log.debug('Writing lyrics to ' + lyrics.writeLrcFile(finalMetadata.filename, this.lyrics.lines, id3Tags));
+    }
+
+    return { id: info.id, filename: finalMetadata.filename, runtime: endTime - startTime, metadata: finalMetadata };
+  }
+
+  /**
+   * Emit an event about this video
+   * @param {String} name Name of the event
+   * @param {*} data Event fields
+   */
+  event(name, data) {
+    if (this.options.onEvent) this.options.onEvent(Object.assign({ event: name, url: this.url, id: this.id }, data));
+  }
+
+  /**
+   * Create the reporter of the progress of a pipeline stage, emitting progress events
+   * @param {String} stage Pipeline stage: metadata, download, convert or postprocess
+   * @param {Number} total Total number of ticks
+   * @returns A ProgressEvents
+   */
+  progress(stage, total) {
+    return new ProgressEvents((data) => this.event('progress', data), stage, total);
+  }
+
+  /**
+   * Path to an intermediate file of the job, in a temporary directory of its own so that jobs running at the same time never share a
+   * file. The directory is removed once the job is done, or when the process exits.
+   * @param {String} name Name of the file
+   * @returns The path
+   */
+  tempFile(name) {
+    if (!this.tempDir) this.tempDir = tempfiles.register(fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-mp3-')));
+    return path.join(this.tempDir, name);
+  }
+
+  /* Remove the intermediate files left by the job */
+  removeTempDir() {
+    if (this.tempDir) tempfiles.remove(this.tempDir);
+    this.tempDir = null;
+  }
+
+  /**
+   * Build the onRetry callback of the download helpers, logging the failed attempts
+   * @param {String} what Description of the operation being retried
+   * @returns onRetry callback
+   */
+  logRetry(what) {
+    return (err, attempt, delay) => this.log.debug(what + ' failed (' + err.message + '), retry ' + attempt + ' in ' + delay / 1000 + 's...');
+  }
+
+  /**
+   * Load metadata from youtube and select the best fitting quality setting
+   * @returns Video metadata used to download the video
+   */
+  async downloadMetadata() {
+    const url = this.url;
+    this.log.debug('Connecting to youtube...');
+
+    const downloadProgress = this.progress('metadata', 2);
+
+    let info;
+    try {
+      info = await withRetries(() => ytdl.getInfo(url).catch((err) => {
+        throw errors.fromYoutubeError(err, url);
+      }), { retries: this.options.retries, onRetry: this.logRetry('Fetching the metadata of ' + url) });
+      downloadProgress.tick(1, { 'msg': 'downloaded' });
+      var targetFormat = streams.selectFormat(info.formats, this.options);
+
+      if (!targetFormat && this.options.formatSelect) {
+        throw new errors.NoAudioFormatError('No format of this video matches \'' + this.options.formatSelect + '\'.');
+      }
+      if (!targetFormat) throw new errors.NoAudioFormatError('No formats of this video contain audio.');
+      downloadProgress.tick(1, { 'msg': 'bitrate: ' + targetFormat.audioBitrate + 'kbps' });
+      this.log.debug('Best match: Itag: ' + targetFormat.itag + ' (' + targetFormat.container + ', ' + targetFormat.audioCodec +
+        (targetFormat.hasVideo ? ' with video' : ', audio only') + ').');
+
+      var title = 'unknown';
+      try {
+        title = util.parseSongName(info.videoDetails);
+      } catch (e) {
+        this.log.debug('Unable to determine song name due to: ' + e.stack);
+      }
+
+      const videoMetadata = {
+        id: info.videoDetails.videoId,
+        title: title,
+        channel: info.videoDetails.author && info.videoDetails.author.name || info.videoDetails.ownerChannelName || null,
+        year: (info.videoDetails.publishDate || '').slice(0, 4) || null,
+        duration: parseInt(info.videoDetails.lengthSeconds) || 0,
+        thumbnails: info.videoDetails.thumbnails || [],
+        chapters: info.videoDetails.chapters || [],
+        description: info.videoDetails.description || '',
+        captions: lyrics.captionTracks(info),
+        format: targetFormat
+      };
+      this.log.debug('Video metadata: ' + JSON.stringify(videoMetadata));
+      return videoMetadata;
+    } catch (err) {
+      this.log.debug('Unable to fetch video metadata from youtube: ' + err.stack);
+      throw err;
+    }
+  }
+
+  /**
+   * Download the youtube video with the given metadata settings (containing the specific ITAG to download) to a file.
+   * Dropped or stalled connections are resumed from the last byte received, the '.part' file of a failed download is kept so that the
+   * next run resumes it too.
+   * @param {*} metadata Video metadata retrieved from youtube
+   * @param {String} fileName Path to the file to write
+   * @param {Stream} tee Optional writable stream receiving the video while it downloads, see download.downloadToFile
+   * @param {AbortSignal} signal Optional signal stopping the download
+   * @returns A Promise containing fileName
+   */
+  downloadVideo(metadata, fileName, tee, signal) {
+    const url = this.url;
+    const totalSize = parseInt(metadata.format.contentLength) || null;
+    const downloadProgress = this.progress('download', 100);
+    const dlStartTime = util.nowSeconds();
+    const state = { 'amount': '0 B', 'dlSpeed': '0 B/s' };
+    let startSize = null;
+
+    return downloadToFile((start) => {
+      const opts = { quality: metadata.format.itag };
+      if (start > 0) {
+        this.log.debug('Resuming the download of ' + url + ' at byte ' + start);
+        opts.range = { start: start };
+      }
+      return ytdl(url, opts);
+    }, fileName, {
+      retries: this.options.retries,
+      stallTimeout: this.options.stallTimeout,
+      totalSize: totalSize,
+      tee: tee,
+      signal: signal,
+      onRetry: this.logRetry('Downloading ' + url),
+      onProgress: (totalDownloaded) => {
+        if (startSize === null) startSize = totalDownloaded;
+        const dlRate = (totalDownloaded - startSize) / Math.max((util.nowSeconds() - dlStartTime), 1);
+        state.amount = prettyBytes(totalDownloaded) + (totalSize ? '/' + prettyBytes(totalSize) : '');
+        state.dlSpeed = prettyBytes(dlRate) + '/s';
+        downloadProgress.update(totalSize ? Math.min(totalDownloaded / totalSize, 0.99) : 0, state);
+      }
+    }).then(() => {
+      downloadProgress.update(1, state);
+      return fileName;
+    }, (err) => {
+      throw errors.fromYoutubeError(err, url);
+    });
+  }
+
+  /**
+   * Download the video straight to a file in the current directory, used in video only mode
+   * @param {*} videoMetadata Video metadata retrieved from youtube
+   * @returns A Promise containing the path to the written video
+   */
+  async saveVideo(videoMetadata) {
+    const videoFileName = path.join('./', sanitize(videoMetadata.title + '.' + (videoMetadata.format.container || 'mp4')));
+    this.log.info('Writing video file to ' + videoFileName);
+    const unlock = await lockFile(videoFileName);
+    try {
+      return await this.downloadVideo(videoMetadata, videoFileName);
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Download the video and convert it into the output audio format using ffmpeg at the same time: the video is written to a temporary
+   * file, so that interrupted downloads can be resumed, and streamed into ffmpeg as it downloads.
+   * @param {*} videoMetadata Video metadata retrieved from youtube
+   * @returns A Promise containing the file name of the converted audio file
+   */
+  async convertVideoToMp3(videoMetadata) {
+    /* Named after the video and its format so that the '.part' file of an interrupted download is found again by the next run, jobs on
+    the same video take turns through its lock */
+    const sourceFile = path.join(os.tmpdir(), sanitize('youtube-mp3-' + videoMetadata.id + '-' + videoMetadata.format.itag + '.' +
+      (videoMetadata.format.container || 'mp4')));
+    const source = new PassThrough();
+    const download = new AbortController();
+    let unlock = null;
+    /* A failed download stops ffmpeg by failing its input, the download error is the one reported */
+    source.on('error', () => {});
+
+    const downloading = lockFile(sourceFile, download.signal).then((release) => {
+      unlock = release;
+      tempfiles.register(sourceFile);
+      return this.downloadVideo(videoMetadata, sourceFile, source, download.signal);
+    }).catch((err) => {
+      source.destroy(err);
+      throw err;
+    });
+
+    try {
+      const results = await Promise.all([
+        downloading,
+        this.convertFile(source, videoMetadata).catch((err) => {
+          download.abort(err);
+          throw err;
+        })
+      ]);
+      return results[1];
+    } finally {
+      /* The file belongs to the job holding the lock, which is kept until the download stopped writing it */
+      await downloading.catch(() => {});
+      if (unlock) {
+        tempfiles.remove(sourceFile);
+        unlock();
+      }
+    }
+  }
+
+  /**
+   * Convert a video or audio file into the output audio format. When its audio already uses the codec of the output format and no
+   * processing is requested, it is remuxed without re-encoding.
+   * Processing which needs the whole audio (loudness normalization, trailing silence removal, fade out) first converts the audio into a
+   * lossless intermediate file, which is then analyzed and encoded into the output format by a second pass.
+   * @param {String|Stream} sourceFile Path to the file to convert, or a readable stream of its content
+   * @param {*} videoMetadata Video metadata, its format describes the audio of sourceFile
+   * @returns A Promise containing the file name of the converted audio file
+   */
+  async convertFile(sourceFile, videoMetadata) {
+    const options = this.options;
+    const format = formats.AUDIO_FORMATS[options.format];
+    const musicFileName = this.tempFile('audio.' + format.extension);
+    const filters = postprocess.streamFilters(options);
+    const isTwoPass = postprocess.needsSecondPass(options);
+    const isRemux = filters.length === 0 && !isTwoPass && formats.canRemux(videoMetadata.format, options.format, options.bitrate);
+
+    if (!isTwoPass) {
+      this.log.debug((isRemux ? 'Remuxing ' : 'Converting ') + videoMetadata.format.audioCodec + ' audio to ' + musicFileName);
+      await this.convertAudio(sourceFile, videoMetadata, filters, (command) => {
+        if (isRemux) command.audioCodec('copy');
+        else encodeAs(command, options.format, options.bitrate || videoMetadata.format.audioBitrate);
+      }, musicFileName);
+      return musicFileName;
+    }
+
+    const firstPassFile = this.tempFile('firstpass.flac');
+    this.log.debug('Converting ' + videoMetadata.format.audioCodec + ' audio to ' + firstPassFile + ' for the second pass');
+    try {
+      await this.convertAudio(sourceFile, videoMetadata, filters, (command) => encodeAs(command, 'flac'), firstPassFile);
+      await this.applySecondPass(firstPassFile, musicFileName, videoMetadata);
+    } finally {
+      tempfiles.remove(firstPassFile);
+    }
+    return musicFileName;
+  }
+
+  /**
+   * Convert the audio of a video with ffmpeg
+   * @param {String|Stream} sourceFile Path to the video, or a readable stream of its content
+   * @param {*} videoMetadata Video metadata retrieved from youtube
+   * @param {Array} filters Audio filters to apply
+   * @param {Function} configure Called with the ffmpeg command to set up the output codec
+   * @param {String} outputFileName Path to the file to write
+   * @returns A Promise resolved once the file is written
+   */
+  convertAudio(sourceFile, videoMetadata, filters, configure, outputFileName) {
+    const options = this.options;
+    /* Progress is measured on the converted duration, which is shorter than the video when it is clipped */
+    const convertProgress = this.progress('convert', 100);
+    const state = { speed: '0kbps' };
+    const start = options.start ? util.parseTimemark(options.start) : 0;
+    const end = options.end ? Math.min(util.parseTimemark(options.end), videoMetadata.duration || Infinity) : videoMetadata.duration;
+    const expectedDuration = end - start;
+    const sourceName = typeof sourceFile === 'string' ? sourceFile : this.url;
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(sourceFile).noVideo();
+      if (filters.length > 0) command.audioFilters(filters);
+      configure(command);
+
+      command
+        .on('error', (err, stdout, stderr) => {
+          this.log.debug('Ffmpeg encountered an error converting ' + sourceName + ' to ' + outputFileName + ': ' + stderr);
+          reject(new errors.FfmpegError('Unable to convert ' + sourceName + ': ' + err.message, err));
+        })
+        .on('progress', (progress) => {
+          const ratio = expectedDuration > 0 ? Math.min(util.parseTimemark(progress.timemark) / expectedDuration, 0.99) : 0;
+          state.speed = progress.currentKbps + 'kbps';
+          convertProgress.update(ratio, state);
+        })
+        .on('end', () => {
+          convertProgress.update(1, state);
+          resolve();
+        })
+        .save(outputFileName);
+    });
+  }
+
+  /**
+   * Analyze the first pass file and encode it into the output format, applying the processing which needed the whole audio
+   * @param {String} firstPassFile Path to the lossless first pass file
+   * @param {String} musicFileName Path to the output file
+   * @param {*} videoMetadata Video metadata retrieved from youtube
+   * @returns A Promise resolved once the output file is written
+   */
+  async applySecondPass(firstPassFile, musicFileName, videoMetadata) {
+    const options = this.options;
+    this.log.debug('Analyzing ' + firstPassFile + '...');
+    const analysis = await postprocess.analyze(firstPassFile, options);
+    this.log.debug('Audio analysis: ' + JSON.stringify(analysis));
+    const filters = postprocess.secondPassFilters(analysis, options);
+
+    const progress = this.progress('postprocess', 100);
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(firstPassFile).noVideo();
+      if (filters.length > 0) command.audioFilters(filters);
+      encodeAs(command, options.format, options.bitrate || videoMetadata.format.audioBitrate);
+
+      command
+        .on('error', (err, stdout, stderr) => {
+          this.log.debug('Ffmpeg encountered an error processing ' + firstPassFile + ': ' + stderr);
+          reject(new errors.FfmpegError('Unable to process ' + firstPassFile + ': ' + err.message, err));
+        })
+        .on('progress', (p) => {
+          progress.update(Math.min((p.percent || 0) / 100, 0.99));
+        })
+        .on('end', () => {
+          progress.update(1);
+          resolve();
+        })
+        .save(musicFileName);
+    });
+  }
+
+  /**
+   * Measure the ReplayGain tags of an audio file when ReplayGain normalization is requested
+   * @param {String} musicFileName Path to the audio file
+   * @returns A Promise containing the ReplayGain tags, empty when they are not requested or not supported by the output format
+   */
+  async replayGainTags(musicFileName) {
+    const options = this.options;
+    if (options.normalize !== 'replaygain') return {};
+    if (!formats.AUDIO_FORMATS[options.format].replayGain) {
+      this.log.info('ReplayGain tags are not supported in ' + options.format + ' files, skipping normalization.');
+      return {};
+    }
+
+    this.log.debug('Measuring ReplayGain of ' + musicFileName + '...');
+    try {
+      return await postprocess.measureReplayGain(musicFileName);
+    } catch (err) {
+      this.log.warning(err, 'Failed to measure ReplayGain.');
+      return {};
+    }
+  }
+
+  /**
+   * Gather song metadata and write it as tags to the audio file, using the tag format of its container (ID3, MP4 atoms or vorbis comments)
+   * @param {String} musicFileName Name of the audio file
+   * @param {*} videoMetadata Video metadata downloaded from youtube
+   * @returns A Promise containing the final resolved metadata, including the fields which are not written as tags (trackNum...)
+   */
+  async writeId3Tags(musicFileName, videoMetadata) {
+    const options = this.options;
+    this.log.debug('Processing video metadata...');
+
+    const gathered = util.filter(await this.gatherMetadata(videoMetadata), (k, v) => !!v);
+    /* Playlist syncs number the songs by their position in the playlist rather than in their album */
+    if (options.trackNum) Object.assign(gathered, util.filter({ trackNum: options.trackNum, trackCount: options.trackCount }, (k, v) => !!v));
+    // TODO: Maybe just make the metadata a proper class...
+    this.event('metadata', { metadata: gathered });
+    const metadata = Object.assign(this.keptTags(), util.filter(gathered, (k, v) => METADATA_FIELDS.includes(k)));
+    if (options.trackNum) metadata.track = options.trackNum + (options.trackCount ? '/' + options.trackCount : '');
+    Object.assign(metadata, await this.replayGainTags(musicFileName));
+
+    this.lyrics = await this.fetchLyrics(videoMetadata);
+    const lyricsStyle = formats.AUDIO_FORMATS[options.format].lyrics;
+    if (this.lyrics && lyricsStyle === 'tag') metadata.lyrics = lyrics.toPlainLyrics(this.lyrics.lines);
+    if (this.lyrics && !lyricsStyle && !lyrics.needsSidecar(options.lyrics, options.format)) {
+      this.log.info('Lyrics are not supported in ' + options.format + ' files, use --lyrics lrc to write them to a .lrc file.');
+    }
+
+    const coverFile = await this.prepareCover(gathered.albumUrl, videoMetadata);
+
+    this.log.debug('Writing ' + options.format + ' metadata...');
+    try {
+      await tags.writeTags(musicFileName, options.format, metadata, coverFile);
+      if (this.lyrics && lyricsStyle === 'id3') {
+        lyrics.writeId3Lyrics(musicFileName, this.lyrics.lines, this.lyrics.language, options.lyrics === 'synced');
+      }
+      this.event('tags', { tags: metadata, cover: !!coverFile, lyrics: !!this.lyrics });
+    } finally {
+      if (coverFile) tempfiles.remove(coverFile);
+    }
+    return gathered;
+  }
+
+  /**
+   * Download the captions to embed as lyrics when they are requested, from the track in the first preferred language which has one.
+   * Tracks generated by speech recognition are only used with the autoCaptions option. A failed download only loses the lyrics.
+   * @param {*} videoMetadata Video metadata downloaded from youtube
+   * @returns A Promise containing { language, lines }, lines being the timed lines of the captions, or null without lyrics
+   */
+  async fetchLyrics(videoMetadata) {
+    const options = this.options;
+    if (!options.lyrics || !videoMetadata.captions) return null;
+
+    const track = lyrics.chooseTrack(videoMetadata.captions, options.lyricsLanguage, options.autoCaptions);
+    if (!track) {
+      this.log.info('No ' + (options.autoCaptions ? '' : 'manual ') + 'captions in ' + options.lyricsLanguage.join(', ') +
+        ', the file will have no lyrics.');
+      return null;
+    }
+
+    this.log.debug('Downloading ' + (track.auto ? 'auto-generated ' : '') + track.language + ' captions...');
+    try {
+      const lines = await withRetries(() => lyrics.fetchCaptions(track), {
+        retries: options.retries,
+        onRetry: this.logRetry('Fetching the ' + track.language + ' captions')
+      });
+      if (lines.length === 0) return null;
+      return { language: track.language, lines: lines };
+    } catch (err) {
+      this.log.warning(err, 'Unable to download the captions, the file will have no lyrics.');
+      return null;
+    }
+  }
+
+  /**
+   * Tags of the audio file which are kept when it is tagged, writing tags replaces all of them
+   * @returns Tags keyed by ffmpeg metadata names, none for the files converted by the pipeline
+   */
+  keptTags() {
+    return {};
+  }
+
+  /**
+   * Download the cover to embed in the output files
+   * @param {String} albumUrl Artwork url found by the metadata providers, if any
+   * @param {*} videoMetadata Video metadata downloaded from youtube, its thumbnails are the fallback
+   * @returns A Promise containing the path to the temporary cover file, or null if there is no cover to embed
+   */
+  async prepareCover(albumUrl, videoMetadata) {
+    const options = this.options;
+    if (!options.artwork || !formats.AUDIO_FORMATS[options.format].coverArt) return null;
+
+    this.log.debug('Downloading artwork...');
+    let coverFile = null;
+    try {
+      coverFile = await artwork.downloadArtwork(artwork.artworkUrls(albumUrl, videoMetadata.thumbnails), options.squareArtwork,
+        (extension) => this.tempFile('cover.' + extension), this.log);
+    } catch (err) {
+      this.log.debug('Unable to prepare artwork due to: ' + err.stack);
+    }
+    if (!coverFile) this.log.debug('No artwork found, the file will not have a cover.');
+    return coverFile;
+  }
+
+  /**
+   * Find the chapters to split the video into: the user supplied tracklist, otherwise the youtube chapters, otherwise a timestamp list
+   * in the video description
+   * @param {*} videoMetadata Video metadata downloaded from youtube
+   * @returns { album, artist, chapters }, album and artist are only set by cue sheets
+   */
+  findChapters(videoMetadata) {
+    if (this.options.tracklist) {
+      this.log.debug('Reading tracklist ' + this.options.tracklist);
+      return chapters.readTracklist(this.options.tracklist);
+    }
+
+    const youtubeChapters = chapters.fromYoutubeChapters(videoMetadata.chapters);
+    if (youtubeChapters.length > 1) {
+      this.log.debug('Found ' + youtubeChapters.length + ' youtube chapters.');
+      return { album: null, artist: null, chapters: youtubeChapters };
+    }
+
+    /* Like youtube chapters, a timestamp list must start at the beginning of the video to not pick up random timestamps */
+    const timestamps = chapters.parseTimestamps(videoMetadata.description);
+    if (timestamps.length > 1 && timestamps.some((chapter) => chapter.start === 0)) {
+      this.log.debug('Found ' + timestamps.length + ' timestamps in the video description.');
+      return { album: null, artist: null, chapters: timestamps };
+    }
+    return { album: null, artist: null, chapters: [] };
+  }
+
+  /**
+   * Split the audio file into one file per track. The gathered metadata applies to the whole album, every track gets its own title,
+   * track number and, for tracklists listing them, its own artist. Tracks are written to a directory named after the album unless an
+   * output template is used.
+   * @param {String} musicFileName Path to the whole audio file, deleted once split
+   * @param {*} videoMetadata Video metadata downloaded from youtube
+   * @param {*} tracklist Tracklist returned by findChapters
+   * @param {Array} tracks Tracks to cut, as returned by chapters.toTracks
+   * @returns A Promise containing the metadata read from every final track file
+   */
+  async splitIntoTracks(musicFileName, videoMetadata, tracklist, tracks) {
+    const options = this.options;
+    const metadata = await this.gatherMetadata(videoMetadata);
+    this.event('metadata', { metadata: metadata });
+    const album = tracklist.album || (metadata.album && metadata.album !== 'Single' ? metadata.album : metadata.title);
+    const albumArtist = tracklist.artist || metadata.artist;
+    const coverFile = await this.prepareCover(metadata.albumUrl, videoMetadata);
+    const extension = formats.AUDIO_FORMATS[options.format].extension;
+    if (options.lyrics) this.log.info('Captions span the whole video, split tracks will have no lyrics.');
+
+    this.log.debug('Splitting into ' + tracks.length + ' tracks');
+    const results = [];
+    try {
+      for (const track of tracks) {
+        const trackNum = String(track.number).padStart(String(tracks.length).length, '0');
+        const trackFileName = this.tempFile('track-' + trackNum + '.' + extension);
+        await chapters.cutTrack(musicFileName, track, trackFileName, options.format);
+
+        const trackTags = util.filter({
+          title: track.title,
+          artist: track.artist || albumArtist,
+          album_artist: albumArtist,
+          album: album,
+          genre: metadata.genre,
+          date: metadata.date,
+          publisher: metadata.publisher,
+          copyright: metadata.copyright,
+          track: track.number + '/' + tracks.length
+        }, (k, v) => !!v);
+        Object.assign(trackTags, await this.replayGainTags(trackFileName));
+        await tags.writeTags(trackFileName, options.format, trackTags, coverFile);
+        this.event('tags', { track: track.number, tags: trackTags, cover: !!coverFile });
+
+        const values = Object.assign(templateValues(metadata, videoMetadata, options), util.filter(trackTags, (k) => k !== 'track'), {
+          trackNum: track.number,
+          trackCount: tracks.length
+        });
+        const outputFileName = output.renderTemplate(options.outputTemplate || output.DEFAULT_TRACK_OUTPUT_TEMPLATE, values);
+        results.push(await this.finalizeTrack(trackFileName, outputFileName));
+      }
+    } finally {
+      if (coverFile) tempfiles.remove(coverFile);
+      tempfiles.remove(musicFileName);
+    }
+    return results;
+  }
+
+  /**
+   * Finalize the audio file by copying the intermediate file to its final location, given by the output template, or renaming it to
+   * the output option. Verify the tags written on the file.
+   * @param {*} metadata Song metadata resolved by writeId3Tags
+   * @param {*} videoMetadata Video metadata downloaded from youtube
+   * @param {String} intermediateMp3Filename Path to the intermediate audio file
+   * @returns A Promise containing the metadata read from the final file
+   */
+  finalizeMp3(metadata, videoMetadata, intermediateMp3Filename) {
+    const options = this.options;
+    let outputFileName;
+    if (options.output) {
+      outputFileName = formats.withExtension(sanitize(options.output), options.format);
+    } else {
+      const template = options.outputTemplate || output.DEFAULT_OUTPUT_TEMPLATE;
+      outputFileName = output.renderTemplate(template, templateValues(metadata, videoMetadata, options));
+    }
+
+    this.log.debug('Writing final ' + options.format + ' file: ' + outputFileName);
+    return this.finalizeTrack(intermediateMp3Filename, outputFileName);
+  }
+
+  /**
+   * Move an intermediate audio file to its final location and read back its metadata. Missing directories are created, existing files
+   * are handled with the onConflict policy.
+   * @param {String} intermediateMp3Filename Path to the intermediate audio file
+   * @param {String} outputFileName Final path of the file
+   * @returns A Promise containing the metadata read from the final file
+   */
+  finalizeTrack(intermediateMp3Filename, outputFileName) {
+    try {
+      const target = output.resolveConflict(outputFileName, this.options.onConflict);
+      if (target.skip) {
+        this.log.info(outputFileName + ' already exists, keeping the existing file.');
+      } else {
+        if (target.fileName !== outputFileName) this.log.debug(outputFileName + ' already exists, writing ' + target.fileName + ' instead.');
+        outputFileName = target.fileName;
+        fsExtra.mkdirsSync(path.dirname(outputFileName));
+        fsExtra.copySync(intermediateMp3Filename, outputFileName);
+      }
+      tempfiles.remove(intermediateMp3Filename);
+    } catch (err) {
+      this.log.debug('Unable to write ' + outputFileName + '.');
+      throw new errors.OutputWriteError('Unable to write ' + outputFileName + ': ' + err.message, err);
+    }
+
+    this.log.debug('Reading ' + outputFileName);
+    return new Promise((resolve, reject) => {
+      ffProbe(outputFileName, (err, data) => {
+        if (err) {
+          this.log.debug('Unable to read metadata from ' + outputFileName + '.');
+          reject(err);
+        } else {
+          resolve(data);
+        }
+      });
+    });
+  }
+
+  /**
+   * Gather metadata for the song, trying to load it from the metadata providers, or parsing the title. Release year, album, label,
+   * composers and copyright found in the description fill the fields the providers leave empty. Values passed in the options or in the
+   * metadata JSON file take precedence.
+   * The resolveMetadata option, when set, gets the final say. It is called with { video, metadata, candidates, overrides, withCandidate }:
+   * the video metadata, the song metadata built from the best candidate, every candidate found by the providers (best first), the values
+   * given by the user and a function building the song metadata from another candidate (or none with null). It returns the final song
+   * metadata, or a Promise of it. Otherwise the missing fields are resolved with the missingMetadata policy.
+   * @param {*} metadata Video metadata downloaded from youtube
+   * @returns A Promise containing the final song metadata
+   */
+  async gatherMetadata(metadata) {
+    const options = this.options;
+    const log = this.log;
+    const metadataProviders = this.downloader.providers;
+    const separators = options.separator;
+    /* Credits found in the description and the tags of local files are only used when the providers don't know better */
+    const meta = Object.assign({
+      title: metadata.title,
+      artist: null,
+      album: null,
+      genre: null,
+      date: null
+    }, description.parseDescription(metadata.description), existingMetadata(metadata.tags));
+
+    /* First try searching the metadata providers with the raw title */
+    const threshold = options.matchThreshold;
+    let candidates = await providers.lookup(metadataProviders, { searchTerm: metadata.title, duration: metadata.duration }, threshold, log);
+    if (candidates.length === 0) {
+      /* Fallback to parsing video title if no results from the providers */
+      log.debug('Failed to resolve \'' + meta.title + '\' with the metadata providers, falling back to parsing video title...');
+      const parsedInfo = titleParser.parseTitle(metadata.title, { separators: separators, stripPatterns: options.stripPattern, channel: metadata.channel });
+      if (!parsedInfo.success) {
+        log.debug('Failed to parse video title \'' + meta.title + '\'');
+      } else {
+        meta.title = parsedInfo.title;
+        meta.artist = parsedInfo.artist;
+        const query = { searchTerm: meta.artist + ' ' + meta.title, title: meta.title, artist: meta.artist, duration: metadata.duration };
+        /* Try again searching the providers with better title */
+        candidates = await providers.lookup(metadataProviders, query, threshold, log);
+      }
+    }
+
+    /* Values provided by the user always win over discovered ones */
+    const overrides = Object.assign(
+      {},
+      options.metadataJson ? metadataUtil.readMetadataJson(options.metadataJson, metadata.id) : {},
+      metadataUtil.cliOverrides(options)
+    );
+    const withCandidate = (chosen) => {
+      const result = Object.assign({}, meta);
+      if (chosen) {
+        const merged = providers.mergeCandidates(candidates, chosen);
+        log.debug('Successfully resolved song with ' + merged.provider + ': ' + JSON.stringify(merged));
+        Object.assign(result, util.filter(merged, (k, v) => !!v));
+      }
+      return Object.assign(result, overrides);
+    };
+
+    /* The best match is used unless the resolver picks another candidate */
+    const resolved = withCandidate(candidates[0] || null);
+    if (options.resolveMetadata) {
+      return options.resolveMetadata({
+        video: metadata,
+        metadata: resolved,
+        candidates: candidates,
+        overrides: overrides,
+        withCandidate: withCandidate
+      });
+    }
+
+    const defaults = Object.assign({}, metadataUtil.DEFAULT_METADATA, { date: metadata.year });
+    return metadataUtil.resolveMissingMetadata(resolved, options.missingMetadata, defaults);
+  }
+}
+
+/**
+ * Pipeline of a local file, which only has to be converted. Its tags and its file name stand in for the youtube metadata.
+ */
+class ConvertJob extends Job {
+  /**
+   * @param {Downloader} downloader Downloader running the job
+   * @param {String} file Path to the local file
+   * @param {*} options Download options
+   */
+  constructor(downloader, file, options) {
+    super(downloader, null, options);
+    this.file = file;
+    this.probeData = null;
+  }
+
+  /* Local files have no video id to look up or record in the download archive */
+  run() {
+    return this.downloadAndConvert()
+      .finally(() => this.removeTempDir())
+      .then((result) => Object.assign({ file: this.file }, result));
+  }
+
+  event(name, data) {
+    if (this.options.onEvent) this.options.onEvent(Object.assign({ event: name, file: this.file }, data));
+  }
+
+  async downloadMetadata() {
+    this.log.debug('Reading ' + this.file + '...');
+    this.probeData = await local.probe(this.file);
+    const metadata = local.localMetadata(this.file, this.probeData);
+    this.log.debug('File metadata: ' + JSON.stringify(metadata));
+    return metadata;
+  }
+
+  convertVideoToMp3(videoMetadata) {
+    return this.convertFile(this.file, videoMetadata);
+  }
+
+  /* Without thumbnails to fall back on, the cover already embedded in the file is kept */
+  async prepareCover(albumUrl, videoMetadata) {
+    const coverFile = await super.prepareCover(albumUrl, videoMetadata);
+    if (coverFile || !this.options.artwork || !formats.AUDIO_FORMATS[this.options.format].coverArt) return coverFile;
+    try {
+      return await local.extractCover(this.file, this.probeData, (extension) => this.tempFile('cover.' + extension));
+    } catch (err) {
+      this.log.debug('Unable to extract the cover of ' + this.file + ' due to: ' + err.stack);
+      return null;
+    }
+  }
+}
+
+/**
+ * Pipeline retagging an existing audio file in place, and optionally renaming it
+ */
+class TagJob extends ConvertJob {
+  async downloadAndConvert() {
+    const format = local.formatOfFile(this.file);
+    if (!format) {
+      throw new errors.UsageError('Unable to tag ' + this.file + ', supported files are ' + Object.keys(formats.AUDIO_FORMATS).join(', ') + '.');
+    }
+    /* Tags are written in the format of the file, whatever the output format */
+    this.options = Object.assign({}, this.options, { format: format });
+    const options = this.options;
+    const info = await this.downloadMetadata();
+
+    if (options.dryRun) {
+      const metadata = util.filter(await this.gatherMetadata(info), (k, v) => !!v);
+      this.event('metadata', { metadata: metadata });
+      return { filename: this.file, tags: metadata };
+    }
+
+    const metadata = await this.writeId3Tags(this.file, info);
+    const fileName = options.rename ? this.rename(metadata, info) : this.file;
+    return { filename: fileName, tags: metadata, metadata: await local.probe(fileName) };
+  }
+
+  keptTags() {
+    /* ffprobe reads USLT frames as lyrics-<language>, which ffmpeg would write back as a TXXX frame */
+    const isReplaced = (name) => METADATA_FIELDS.includes(name) || UNKEPT_TAGS.includes(name) || name.startsWith('lyrics-') ||
+      (this.options.normalize === 'replaygain' && name.startsWith('replaygain_'));
+    return util.filter(local.readTags(this.probeData), (k) => !isReplaced(k));
+  }
+
+  /**
+   * Rename the file with the output template, relative to its directory, handling existing files with the onConflict policy
+   * @param {*} metadata Song metadata
+   * @param {*} videoMetadata Metadata of the file
+   * @returns The new path of the file
+   */
+  rename(metadata, videoMetadata) {
+    const options = this.options;
+    const rendered = output.renderTemplate(options.outputTemplate || output.DEFAULT_OUTPUT_TEMPLATE, templateValues(metadata, videoMetadata, options));
+    const fileName = path.isAbsolute(rendered) ? rendered : path.join(path.dirname(this.file), rendered);
+    if (path.resolve(fileName) === path.resolve(this.file)) return this.file;
+
+    const target = output.resolveConflict(fileName, options.onConflict);
+    if (target.skip) {
+      this.log.info(fileName + ' already exists, keeping ' + this.file + ' as is.');
+      return this.file;
+    }
+    try {
+      fsExtra.moveSync(this.file, target.fileName, { overwrite: true });
+    } catch (err) {
+      throw new errors.OutputWriteError('Unable to rename ' + this.file + ' to ' + target.fileName + ': ' + err.message, err);
+    }
+    this.log.debug('Renamed ' + this.file + ' to ' + target.fileName);
+    return target.fileName;
+  }
+}
+
+/**
+ * Reports the progress of a pipeline stage as progress events, implementing the parts of the ProgressBar interface used by the pipeline
+ */
+class ProgressEvents {
+  /**
+   * @param {Function} emit Called with the fields of every progress event
+   * @param {String} stage Pipeline stage the progress is about: metadata, download, convert or postprocess
+   * @param {Number} total Total number of ticks
+   */
+  constructor(emit, stage, total) {
+    this.emit = emit;
+    this.stage = stage;
+    this.total = total;
+    this.curr = 0;
+    this.lastPercent = -1;
+    this.tokens = {};
+  }
+
+  tick(delta, tokens) {
+    this.update((this.curr + (delta || 1)) / this.total, tokens);
+  }
+
+  update(ratio, tokens) {
+    this.curr = Math.min(Math.max(ratio, 0), 1) * this.total;
+    if (tokens) this.tokens = tokens;
+    /* Only whole percents are reported, the pipeline updates its progress far more often */
+    const percent = Math.floor(this.curr / this.total * 100);
+    if (percent === this.lastPercent) return;
+    this.lastPercent = percent;
+    this.emit(Object.assign({ stage: this.stage, percent: percent }, this.tokens));
+  }
+}
+
+/**
+ * Set the muxer and encoder of the output audio format on an ffmpeg command
+ * @param {*} command Ffmpeg command
+ * @param {String} outputFormat Name of the output audio format, a key of formats.AUDIO_FORMATS
+ * @param {Number} bitrate Output bitrate for lossy formats
+ */
+function encodeAs(command, outputFormat, bitrate) {
+  const format = formats.AUDIO_FORMATS[outputFormat];
+  command.format(format.muxer).audioCodec(format.codec);
+  if (!format.lossless && bitrate) command.audioBitrate(bitrate);
+}
+
+/**
+ * Song metadata of the existing tags of a local file
+ * @param {*} tags Tags of the file, as returned by local.readTags, if any
+ * @returns The metadata fields set in the tags
+ */
+function existingMetadata(tags) {
+  const metadata = util.filter(tags || {}, (k, v) => METADATA_FIELDS.includes(k) && !!v);
+  if (metadata.date) metadata.date = String(metadata.date).slice(0, 4);
+  return metadata;
+}
+
+/**
+ * Build the values available in output templates: every metadata field plus the video id and title, the year and the file extension
+ * @param {*} metadata Song metadata
+ * @param {*} videoMetadata Video metadata downloaded from youtube
+ * @param {*} options Download options
+ * @returns Template values
+ */
+function templateValues(metadata, videoMetadata, options) {
+  return Object.assign({}, metadata, {
+    id: videoMetadata.id,
+    videoTitle: videoMetadata.title,
+    year: metadata.date,
+    format: options.format,
+    ext: formats.AUDIO_FORMATS[options.format].extension
+  });
+}
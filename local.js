@@ -0,0 +1,147 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffProbe from 'node-ffprobe';
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { AUDIO_FORMATS } from './formats.js';
+import { FfmpegError, UsageError } from './errors.js';
+import * as tempfiles from './tempfiles.js';
+
+/* Extension of the cover extracted from a file, by ffprobe codec name */
+const COVER_EXTENSIONS = { mjpeg: 'jpg', png: 'png' };
+
+/* Extensions of the video containers, and of the audio files which are not an output format, picked by convert in directories */
+const MEDIA_EXTENSIONS = ['mp4', 'm4v', 'webm', 'mkv', 'mov', 'avi', 'flv', 'wmv', 'mpg', 'mpeg', 'ts', '3gp', 'aac', 'wma', 'aiff', 'ape'];
+
+/**
+ * List the audio files to process: files are kept as given, directories are searched recursively for files in one of the
+ * supported audio formats
+ * @param {Array} paths Paths of files and directories
+ * @returns List of file paths, sorted within each directory
+ * @throws {UsageError} If a path does not exist
+ */
+export function findAudioFiles(paths) {
+  return findFiles(paths, (file) => !!formatOfFile(file));
+}
+
+/**
+ * List the video or audio files to convert, like findAudioFiles but directories are also searched for video files
+ * @param {Array} paths Paths of files and directories
+ * @returns List of file paths, sorted within each directory
+ * @throws {UsageError} If a path does not exist
+ */
+export function findMediaFiles(paths) {
+  return findFiles(paths, (file) => !!formatOfFile(file) || MEDIA_EXTENSIONS.includes(path.extname(file).slice(1).toLowerCase()));
+}
+
+/* Files as given and the files of directories, searched recursively, which match the filter */
+function findFiles(paths, filter) {
+  return paths.reduce((files, file) => {
+    let stats;
+    try {
+      stats = fs.statSync(file);
+    } catch (err) {
+      throw new UsageError('Unable to read ' + file + ': ' + err.message, err);
+    }
+    if (!stats.isDirectory()) return files.concat(file);
+    const entries = fs.readdirSync(file).sort().map((name) => path.join(file, name));
+    return files.concat(findFiles(entries.filter((entry) => fs.statSync(entry).isDirectory() || filter(entry)), filter));
+  }, []);
+}
+
+/**
+ * Audio format of a file, based on its extension
+ * @param {String} fileName Path to the file
+ * @returns Name of the format, a key of AUDIO_FORMATS, or null if it is not one of them
+ */
+export function formatOfFile(fileName) {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  return Object.keys(AUDIO_FORMATS).find((name) => AUDIO_FORMATS[name].extension === extension) || null;
+}
+
+/**
+ * Read the streams, format and tags of a media file with ffprobe
+ * @param {String} fileName Path to the file
+ * @returns A Promise containing the ffprobe data, rejected with a FfmpegError
+ */
+export function probe(fileName) {
+  return new Promise((resolve, reject) => {
+    ffProbe(fileName, (err, data) => {
+      if (err) reject(new FfmpegError('Unable to read ' + fileName + ': ' + (err.message || String(err).trim()), err));
+      else resolve(data);
+    });
+  });
+}
+
+/**
+ * Tags of a probed file keyed by their lowercase name, ogg containers store them on the audio stream instead of globally
+ * @param {*} probeData Data returned by probe
+ * @returns Tags of the file
+ */
+export function readTags(probeData) {
+  const tags = {};
+  const audio = audioStream(probeData) || {};
+  Object.keys(audio).filter((key) => key.startsWith('TAG:')).forEach((key) => { tags[key.slice(4).toLowerCase()] = audio[key]; });
+  Object.keys(probeData.metadata || {}).forEach((key) => { tags[key.toLowerCase()] = probeData.metadata[key]; });
+  return tags;
+}
+
+/**
+ * Build the equivalent of the video metadata downloaded from youtube for a local file, so it can go through the same pipeline.
+ * The title is made of the artist and title tags when they are set, or of the file name.
+ * @param {String} fileName Path to the file
+ * @param {*} probeData Data returned by probe
+ * @returns Video metadata, along with the existing tags of the file in tags
+ */
+export function localMetadata(fileName, probeData) {
+  const tags = readTags(probeData);
+  const audio = audioStream(probeData);
+  if (!audio) throw new FfmpegError(fileName + ' contains no audio.');
+
+  const baseName = path.basename(fileName, path.extname(fileName));
+  const year = String(tags.date || tags.year || '').slice(0, 4);
+  return {
+    id: null,
+    title: tags.artist && tags.title ? tags.artist + ' - ' + tags.title : baseName,
+    channel: null,
+    year: /^\d{4}$/.test(year) ? year : null,
+    duration: parseFloat(probeData.format && probeData.format.duration) || 0,
+    thumbnails: [],
+    chapters: [],
+    description: tags.comment || tags.description || '',
+    format: {
+      container: path.extname(fileName).slice(1).toLowerCase(),
+      audioCodec: String(audio.codec_name || ''),
+      audioBitrate: Math.round((parseInt(audio.bit_rate) || parseInt(probeData.format && probeData.format.bit_rate) || 0) / 1000) || null
+    },
+    tags: tags
+  };
+}
+
+/**
+ * Copy the cover embedded in a file to a temporary file
+ * @param {String} fileName Path to the audio file
+ * @param {*} probeData Data returned by probe
+ * @param {Function} coverFileName Called with the extension of the cover, returns the path to write it to
+ * @returns A Promise containing the path to the temporary image, or null if the file has no JPEG or PNG cover
+ */
+export function extractCover(fileName, probeData, coverFileName) {
+  const cover = (probeData.streams || []).find((stream) => stream && stream.codec_type === 'video' && COVER_EXTENSIONS[stream.codec_name]);
+  if (!cover) return Promise.resolve(null);
+
+  const coverFile = tempfiles.register(coverFileName(COVER_EXTENSIONS[cover.codec_name]));
+  return new Promise((resolve, reject) => {
+    ffmpeg(fileName)
+      .outputOptions('-map', '0:v:0', '-codec', 'copy', '-frames:v', '1')
+      .on('error', (err) => {
+        tempfiles.remove(coverFile);
+        reject(new FfmpegError('Unable to extract the cover of ' + fileName + ': ' + err.message, err));
+      })
+      .on('end', () => resolve(coverFile))
+      .save(coverFile);
+  });
+}
+
+function audioStream(probeData) {
+  return (probeData.streams || []).find((stream) => stream && stream.codec_type === 'audio');
+}
@@ -1,28 +1,97 @@
 import chalk from 'chalk';
+import * as fs from 'fs';
+import { YoutubeMp3Error, exitCodeOf } from './errors.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+/* Strip the chalk colors of messages written to the log file */
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
 
 export class Log {
-  constructor(isVerbose) {
+  /**
+   * @param {Boolean} isVerbose Print debug messages
+   * @param {*} options { json, logFile, logLevel }: in json mode nothing but events is written to stdout, as newline-delimited JSON.
+   * Messages from logLevel up are appended to logFile, along with the events.
+   */
+  constructor(isVerbose, options) {
+    options = options || {};
     this.isVerbose = isVerbose;
+    this.json = !!options.json;
+    this.logLevel = LOG_LEVELS.indexOf(options.logLevel || 'info');
+    this.logFd = options.logFile ? fs.openSync(options.logFile, 'a') : null;
   }
 
   error(err, msg) {
-    if (!msg) msg = err;
+    if (!msg) msg = err.message || err;
+    this.write('error', msg + (err instanceof Error ? '\n' + err.stack : ''));
+    if (this.json) {
+      this.event('error', { message: String(msg), error: describeError(err) });
+      return;
+    }
+
     console.log('\n' + chalk.bold(chalk.red('ERROR: ')) + chalk.red(msg));
-    console.log(chalk.red(err.stack));
-    process.exit(25);
+    /* Typed errors already describe what went wrong, the stack trace is only useful to debug unexpected ones */
+    if (!(err instanceof Error)) return;
+    if (this.isVerbose || !(err instanceof YoutubeMp3Error)) {
+      console.log(chalk.red(err.stack));
+    } else if (err.message !== msg) {
+      console.log(chalk.red(err.message));
+    }
+  }
+
+  fatal(err, msg) {
+    this.error(err, msg);
+    process.exit(exitCodeOf(err));
   }
 
   warning(err, msg) {
-    console.log('\n' + chalk.bold(chalk.yellow('WARNING: ')) + chalk.yellow(msg + err.name));
+    msg = msg + ' ' + (err.message || err);
+    this.write('warning', msg);
+    if (this.json) this.event('warning', { message: msg });
+    else console.log('\n' + chalk.bold(chalk.yellow('WARNING: ')) + chalk.yellow(msg));
   }
 
   info(msg) {
-    console.log(msg);
+    this.write('info', msg);
+    if (!this.json) console.log(msg);
   }
 
   debug(msg) {
-    if (this.isVerbose) {
+    this.write('debug', msg);
+    if (this.isVerbose && !this.json) {
       console.log(msg);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Emit a machine readable event, printed as a JSON line in json mode and recorded in the log file
+   * @param {String} name Name of the event
+   * @param {*} data Event fields
+   */
+  event(name, data) {
+    const line = JSON.stringify(Object.assign({ event: name, time: new Date().toISOString() }, data));
+    if (this.json) process.stdout.write(line + '\n');
+    /* Progress events would drown everything else */
+    if (name !== 'progress') this.write('info', 'event ' + line);
+  }
+
+  /* Append a message to the log file if it is at least of the configured level */
+  write(level, msg) {
+    if (this.logFd === null || LOG_LEVELS.indexOf(level) < this.logLevel) return;
+    const text = String(msg).replace(ANSI_PATTERN, '').trim();
+    if (text) fs.writeSync(this.logFd, new Date().toISOString() + ' [' + level.toUpperCase() + '] ' + text + '\n');
+  }
+}
+
+/**
+ * Describe an error for a JSON event
+ * @param {Error} err Error to describe
+ * @returns { type, code, message }, code being the exit code of the error type
+ */
+export function describeError(err) {
+  return {
+    type: err && err.name || 'Error',
+    code: exitCodeOf(err),
+    message: String(err && err.message || err)
+  };
+}
@@ -0,0 +1,172 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+import * as http from './http.js';
+import * as id3 from './id3.js';
+import { AUDIO_FORMATS } from './formats.js';
+import { NetworkError, OutputWriteError, TagWriteError } from './errors.js';
+
+/**
+ * How lyrics are written:
+ * - plain: unsynchronized lyrics in the tags (USLT frame in mp3)
+ * - synced: plain lyrics along with synchronized ones, as a SYLT frame in mp3 and a .lrc sidecar file for the other formats
+ * - lrc: plain lyrics along with a .lrc sidecar file
+ */
+export const LYRICS_MODES = ['plain', 'synced', 'lrc'];
+export const DEFAULT_LYRICS_LANGUAGES = ['en'];
+
+/* ID3 frames need ISO 639-2 language codes, youtube uses ISO 639-1 ones */
+const ISO_639_2 = {
+  ar: 'ara', de: 'deu', en: 'eng', es: 'spa', fr: 'fra', hi: 'hin', it: 'ita', ja: 'jpn', ko: 'kor', nl: 'nld', pl: 'pol', pt: 'por',
+  ru: 'rus', sv: 'swe', tr: 'tur', zh: 'zho'
+};
+const UNKNOWN_LANGUAGE = 'XXX';
+/* SYLT timestamp format and content type */
+const SYLT_MILLISECONDS = 2;
+const SYLT_LYRICS = 1;
+
+/* Caption lines which are not lyrics, like [Music] or (Applause) */
+const ANNOTATION_PATTERN = /^[\[(][^\])]*[\])]$/;
+const MUSIC_NOTES_PATTERN = /^[♪♫\s]+|[♪♫\s]+$/g;
+
+/**
+ * List the caption tracks of a video
+ * @param {*} info Video info returned by ytdl.getInfo
+ * @returns List of { url, language, name, auto }, auto being true for tracks generated by speech recognition
+ */
+export function captionTracks(info) {
+  const renderer = info.player_response && info.player_response.captions && info.player_response.captions.playerCaptionsTracklistRenderer;
+  return ((renderer && renderer.captionTracks) || []).map((track) => ({
+    url: track.baseUrl,
+    language: track.languageCode,
+    name: track.name && (track.name.simpleText || (track.name.runs || []).map((run) => run.text).join('')),
+    auto: track.kind === 'asr'
+  }));
+}
+
+/**
+ * Choose the caption track to take the lyrics from
+ * @param {Array} tracks Caption tracks, as returned by captionTracks
+ * @param {Array} languages Preferred languages, best first. 'en' also matches regional variants like 'en-GB'.
+ * @param {Boolean} allowAuto Whether tracks generated by speech recognition can be used, manual ones are always preferred
+ * @returns The track, or null if none is in one of the languages
+ */
+export function chooseTrack(tracks, languages, allowAuto) {
+  for (const language of languages) {
+    const matching = tracks.filter((track) => track.language === language || track.language.split('-')[0] === language);
+    const track = matching.find((t) => !t.auto) || (allowAuto && matching.find((t) => t.auto));
+    if (track) return track;
+  }
+  return null;
+}
+
+/**
+ * Download the timed text of a caption track
+ * @param {*} track Caption track, as returned by captionTracks
+ * @returns A Promise containing the list of { time, text } lines, time being in seconds
+ */
+export async function fetchCaptions(track) {
+  const response = await http.get(track.url + (track.url.includes('fmt=') ? '' : '&fmt=json3'));
+  if (response.statusCode !== 200) {
+    const err = new NetworkError('Unable to download the ' + track.language + ' captions (' + response.statusCode + ').');
+    err.statusCode = response.statusCode;
+    throw err;
+  }
+  return parseJson3(JSON.parse(response.body.toString('utf8')));
+}
+
+/**
+ * Parse captions in youtube's json3 format
+ * @param {*} json Parsed captions, { events: [{ tStartMs, segs: [{ utf8 }] }] }
+ * @returns List of { time, text } lines, without the annotations and the repeated lines
+ */
+export function parseJson3(json) {
+  const lines = [];
+  (json.events || []).forEach((event) => {
+    const text = (event.segs || []).map((seg) => seg.utf8 || '').join('').replace(/\s+/g, ' ').replace(MUSIC_NOTES_PATTERN, '').trim();
+    if (!text || ANNOTATION_PATTERN.test(text)) return;
+    if (lines.length > 0 && lines[lines.length - 1].text === text) return;
+    lines.push({ time: (event.tStartMs || 0) / 1000, text: text });
+  });
+  return lines;
+}
+
+/**
+ * Plain lyrics, one caption line per line
+ * @param {Array} lines Timed lines, as returned by fetchCaptions
+ * @returns The lyrics
+ */
+export function toPlainLyrics(lines) {
+  return lines.map((line) => line.text).join('\n');
+}
+
+/**
+ * Render synchronized lyrics in the LRC format
+ * @param {Array} lines Timed lines, as returned by fetchCaptions
+ * @param {*} metadata Song metadata, its title, artist and album are written in the header
+ * @returns Content of the .lrc file
+ */
+export function toLrc(lines, metadata) {
+  const header = [['ti', metadata.title], ['ar', metadata.artist], ['al', metadata.album]]
+    .filter((field) => field[1])
+    .map((field) => '[' + field[0] + ':' + field[1] + ']');
+  return header.concat(lines.map((line) => '[' + lrcTime(line.time) + ']' + line.text)).join('\n') + '\n';
+}
+
+/**
+ * Whether the lyrics mode needs a .lrc sidecar file for this output format
+ * @param {String} mode One of LYRICS_MODES
+ * @param {String} formatName Name of the output format, a key of AUDIO_FORMATS
+ * @returns True if a sidecar file must be written
+ */
+export function needsSidecar(mode, formatName) {
+  return mode === 'lrc' || (mode === 'synced' && AUDIO_FORMATS[formatName].lyrics !== 'id3');
+}
+
+/**
+ * Write the .lrc sidecar file of an audio file, next to it with the same name
+ * @param {String} audioFileName Path to the audio file
+ * @param {Array} lines Timed lines, as returned by fetchCaptions
+ * @param {*} metadata Song metadata
+ * @returns Path to the .lrc file
+ */
+export function writeLrcFile(audioFileName, lines, metadata) {
+  const lrcFileName = path.join(path.dirname(audioFileName), path.basename(audioFileName, path.extname(audioFileName)) + '.lrc');
+  try {
+    fs.writeFileSync(lrcFileName, toLrc(lines, metadata));
+  } catch (err) {
+    throw new OutputWriteError('Unable to write ' + lrcFileName + ': ' + err.message, err);
+  }
+  return lrcFileName;
+}
+
+/**
+ * Add lyrics frames to the ID3v2.3 tag of an mp3 file, which ffmpeg can't write: an USLT frame with the plain lyrics and optionally
+ * a SYLT frame with the synchronized ones, replacing the existing lyrics frames.
+ * @param {String} fileName Path to the mp3 file, tagged by tags.writeTags
+ * @param {Array} lines Timed lines, as returned by fetchCaptions
+ * @param {String} language Language of the lyrics, as an ISO 639-1 code
+ * @param {Boolean} synced Whether to also write the SYLT frame
+ * @throws {TagWriteError} If the file has no ID3v2.3 tag or can't be written
+ */
+export function writeId3Lyrics(fileName, lines, language, synced) {
+  const languageCode = Buffer.from(ISO_639_2[language.split('-')[0]] || UNKNOWN_LANGUAGE, 'latin1');
+  const frames = [id3.frame('USLT', [id3.UTF16, languageCode, id3.utf16('', true), id3.utf16(toPlainLyrics(lines))])];
+  if (synced) {
+    const entries = lines.map((line) => Buffer.concat([id3.utf16(line.text, true), id3.uint32(Math.round(line.time * 1000))]));
+    frames.push(id3.frame('SYLT', [id3.UTF16, languageCode, Buffer.from([SYLT_MILLISECONDS, SYLT_LYRICS]), id3.utf16('', true)]
+      .concat(entries)));
+  }
+  try {
+    id3.replaceFrames(fileName, frames);
+  } catch (err) {
+    throw new TagWriteError('Unable to write lyrics to ' + fileName + ': ' + err.message, err);
+  }
+}
+
+/* LRC timestamps are mm:ss.xx, rounded as a whole so that 59.999s gives 01:00.00 rather than 00:60.00 */
+function lrcTime(seconds) {
+  const centiseconds = Math.round(seconds * 100);
+  const minutes = Math.floor(centiseconds / 6000);
+  return String(minutes).padStart(2, '0') + ':' + ((centiseconds - minutes * 6000) / 100).toFixed(2).padStart(5, '0');
+}
@@ -0,0 +1,98 @@
+import * as fs from 'fs';
+
+import { MissingMetadataError } from './errors.js';
+
+/* Fields which must be set before tags are written, these are the fields the user is prompted for */
+export const REQUIRED_METADATA_FIELDS = ['title', 'artist', 'album', 'genre', 'date'];
+
+/* Values used to fill missing fields by the 'defaults' policy */
+export const DEFAULT_METADATA = {
+  artist: 'Unknown Artist',
+  album: 'Single',
+  genre: 'Unknown'
+};
+
+/**
+ * Policies deciding what happens when required fields are still missing and the user is not prompted.
+ * A policy is called with the metadata, the list of missing fields and the default values, it returns the metadata to write or throws.
+ */
+export const MISSING_METADATA_POLICIES = {
+  /* Abort the video */
+  fail: (meta, missing) => {
+    throw new MissingMetadataError('Missing required metadata: ' + missing.join(', ') + '.');
+  },
+  /* Write the file without the missing tags */
+  skip: (meta) => meta,
+  /* Fill the missing tags with default values */
+  defaults: (meta, missing, defaults) => {
+    missing.forEach((field) => { if (defaults[field]) meta[field] = defaults[field]; });
+    return meta;
+  }
+};
+
+/**
+ * Return the required fields which are not set in meta
+ * @param {*} meta Song metadata
+ * @returns List of missing field names
+ */
+export function missingFields(meta) {
+  return REQUIRED_METADATA_FIELDS.filter((field) => !meta[field]);
+}
+
+/**
+ * Apply the missing metadata policy with the given name
+ * @param {*} meta Song metadata
+ * @param {String} policyName One of the keys of MISSING_METADATA_POLICIES
+ * @param {*} defaults Default values, used by the 'defaults' policy
+ * @returns The resolved metadata
+ * @throws {MissingMetadataError} If fields are missing and the policy is 'fail'
+ */
+export function resolveMissingMetadata(meta, policyName, defaults) {
+  const policy = MISSING_METADATA_POLICIES[policyName];
+  if (!policy) throw new Error('Unknown missing metadata policy \'' + policyName + '\'.');
+
+  const missing = missingFields(meta);
+  if (missing.length === 0) return meta;
+  return policy(meta, missing, defaults || DEFAULT_METADATA);
+}
+
+/**
+ * Build the metadata overrides passed on the command line
+ * @param {*} options Options passed on the command line
+ * @returns Object containing only the fields which were overridden
+ */
+export function cliOverrides(options) {
+  return normalize({
+    title: options.title,
+    artist: options.artist,
+    album: options.album,
+    genre: options.genre,
+    year: options.year
+  });
+}
+
+/**
+ * Read song metadata from a JSON file. The file contains either a single metadata object used for every video, or an object
+ * mapping youtube video ids to metadata objects.
+ * @param {String} fileName Path to the JSON file
+ * @param {String} videoId Id of the video the metadata is read for, optional
+ * @returns Object containing the fields set in the file for this video
+ */
+export function readMetadataJson(fileName, videoId) {
+  const json = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+  if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error(fileName + ' must contain a JSON object.');
+
+  const isKeyedByVideo = Object.values(json).some((value) => value && typeof value === 'object');
+  if (!isKeyedByVideo) return normalize(json);
+  return normalize(json[videoId] || {});
+}
+
+/* Drop empty values and store the year in the 'date' field used by the tags */
+function normalize(meta) {
+  const result = {};
+  Object.keys(meta).forEach((key) => {
+    if (meta[key] === undefined || meta[key] === null || meta[key] === '') return;
+    result[key === 'year' ? 'date' : key] = meta[key];
+  });
+  return result;
+}
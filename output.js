@@ -0,0 +1,70 @@
+import sanitize from 'sanitize-filename';
+import * as fs from 'fs';
+import * as path from 'path';
+
+export const DEFAULT_OUTPUT_TEMPLATE = '{artist} - {title}.{ext}';
+export const DEFAULT_TRACK_OUTPUT_TEMPLATE = '{album}/{trackNum:02} - {title}.{ext}';
+
+/**
+ * Policies deciding what happens when the output file already exists
+ * - overwrite: replace the existing file
+ * - skip: keep the existing file and drop the new one
+ * - rename: add a ' (n)' suffix to the new file name
+ */
+export const CONFLICT_POLICIES = ['overwrite', 'skip', 'rename'];
+
+/* A template variable: {name}, {name:02} to zero pad numbers or {name|fallback} when the value may be missing */
+const VARIABLE_REGEX = /\{(\w+)(?::(0?)(\d+))?(?:\|([^}]*))?\}/g;
+/* Rendered file names which are nothing but separators and an extension */
+const EMPTY_BASE_NAME_REGEX = /^[\s\-_]*(\.\w*)?$/;
+
+/**
+ * Render an output file name template such as '{artist}/{album}/{trackNum:02} - {title}.{ext}'. Every value is sanitized so it can't
+ * introduce directories of its own, missing values without a fallback are left empty and directories left empty are dropped.
+ * @param {String} template Template, '/' separates directories
+ * @param {*} values Values of the variables
+ * @returns The rendered relative (or absolute if the template starts with '/') file path
+ */
+export function renderTemplate(template, values) {
+  const absolute = template.startsWith('/');
+  const segments = template.split('/').map((segment, i, all) => {
+    let rendered = segment.replace(VARIABLE_REGEX, (match, name, zero, width, fallback) => {
+      let value = values[name];
+      if (value === undefined || value === null || value === '') value = fallback || '';
+      value = String(value);
+      if (width && value) value = value.padStart(parseInt(width), zero ? '0' : ' ');
+      return sanitize(value.replace(/\//g, '-'));
+    });
+    /* A file name left without a base name, like '{title}.{ext}' without a title, is named after the video id */
+    if (i === all.length - 1 && EMPTY_BASE_NAME_REGEX.test(rendered)) {
+      if (!values.id) throw new Error('Output template \'' + template + '\' rendered an empty file name.');
+      rendered = values.id + rendered.replace(/^[\s\-_]*/, '');
+    }
+    /* Drop separators left dangling by missing values, like the ' - ' of '{trackNum} - {title}' */
+    const cleaned = rendered.replace(/^[\s\-_.]+(?=\S)|[\s\-_]+$/g, '').replace(/\s+/g, ' ');
+    return sanitize(cleaned);
+  });
+
+  const fileName = segments.pop();
+  if (!fileName || fileName.startsWith('.')) throw new Error('Output template \'' + template + '\' rendered an empty file name.');
+  /* Only an absolute template keeps its empty first segment, a missing first directory is dropped like the others */
+  const directories = segments.filter((segment) => segment);
+  return (absolute ? [''] : []).concat(directories, fileName).join('/');
+}
+
+/**
+ * Decide where to write a file given the conflict policy
+ * @param {String} fileName Desired path of the file
+ * @param {String} policy One of CONFLICT_POLICIES
+ * @returns { fileName, skip }, fileName is the path to write to and skip is true if the file must not be written
+ */
+export function resolveConflict(fileName, policy) {
+  if (!fs.existsSync(fileName) || policy === 'overwrite') return { fileName: fileName, skip: false };
+  if (policy === 'skip') return { fileName: fileName, skip: true };
+
+  const extension = path.extname(fileName);
+  const base = fileName.slice(0, fileName.length - extension.length);
+  let n = 1;
+  while (fs.existsSync(base + ' (' + n + ')' + extension)) n += 1;
+  return { fileName: base + ' (' + n + ')' + extension, skip: false };
+}
@@ -0,0 +1,80 @@
+import ytdl from 'ytdl-core';
+import ytpl from 'ytpl';
+import * as fs from 'fs';
+
+import { InvalidUrlError, fromYoutubeError } from './errors.js';
+
+/**
+ * Read a batch file containing one youtube url per line, blank lines and lines starting with '#' are ignored.
+ * @param {String} batchFile Path to the batch file
+ * @returns List of urls found in the file
+ */
+export function readBatchFile(batchFile) {
+  return fs.readFileSync(batchFile, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Expand the provided urls into the list of videos to download, playlist and channel urls are expanded into all of their videos.
+ * Urls which are neither are kept as is, they will fail later on when downloading their metadata.
+ * @param {Array} urls Video, playlist or channel urls
+ * @param {*} log Logger
+ * @returns A Promise containing a list of { url, id, title, duration, error } entries, title and duration are only known for videos coming
+ * from a playlist, id is null for invalid urls and error is set when a playlist could not be expanded.
+ */
+export async function expandUrls(urls, log) {
+  const videos = [];
+  for (const url of urls) {
+    /* Video urls pointing inside a playlist (watch?v=...&list=...) only download the video itself */
+    if (ytdl.validateURL(url) || !ytpl.validateID(url)) {
+      videos.push({ url: url, id: videoId(url), title: null });
+      continue;
+    }
+
+    try {
+      videos.push(...(await fetchPlaylist(url, log)).videos);
+    } catch (err) {
+      videos.push({ url: url, id: null, title: null, error: err });
+    }
+  }
+  return videos;
+}
+
+/**
+ * Fetch every video of a playlist or channel
+ * @param {String} url Playlist or channel url
+ * @param {*} log Logger
+ * @returns A Promise containing { id, title, videos }, videos being { url, id, title, duration } entries in playlist order, duration in
+ * seconds if known
+ */
+export async function fetchPlaylist(url, log) {
+  if (!ytpl.validateID(url)) throw new InvalidUrlError(url + ' is not a youtube playlist or channel url.');
+  try {
+    log.debug('Expanding playlist ' + url + '...');
+    const playlist = await ytpl(url, { pages: Infinity });
+    log.debug('Found ' + playlist.items.length + ' videos in \'' + playlist.title + '\'.');
+    return {
+      id: playlist.id,
+      title: playlist.title,
+      videos: playlist.items.map((item) => ({ url: item.shortUrl, id: item.id, title: item.title, duration: item.durationSec }))
+    };
+  } catch (err) {
+    log.debug('Unable to expand playlist ' + url + ' due to: ' + err.stack);
+    throw fromYoutubeError(err, url);
+  }
+}
+
+/**
+ * Extract the video id from a youtube url without any network request
+ * @param {String} url Youtube video url
+ * @returns The video id, or null if the url is not a valid video url
+ */
+export function videoId(url) {
+  try {
+    return ytdl.getURLVideoID(url);
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,132 @@
+import ffmpeg from 'fluent-ffmpeg';
+
+import * as util from './util.js';
+import { FfmpegError } from './errors.js';
+
+export const NORMALIZE_MODES = ['loudnorm', 'replaygain'];
+
+/* EBU R128 targets used by loudnorm: integrated loudness, true peak and loudness range */
+const LOUDNORM_TARGET = 'I=-16:TP=-1.5:LRA=11';
+
+/* Audio quieter than the threshold for at least the duration is considered silent */
+const SILENCE_THRESHOLD = '-50dB';
+const SILENCE_MIN_DURATION = 1;
+
+/* loudnorm upsamples to 192kHz, the output is resampled back to the source rate */
+const DEFAULT_SAMPLE_RATE = 44100;
+
+/**
+ * Filters which can be applied while the video is streamed into ffmpeg, they don't need to know the length of the audio
+ * @param {*} options Options passed on the command line
+ * @returns List of ffmpeg audio filters, empty if no processing is needed
+ */
+export function streamFilters(options) {
+  const filters = [];
+  if (options.start || options.end) {
+    let trim = 'atrim=';
+    if (options.start) trim += 'start=' + util.parseTimemark(options.start);
+    if (options.end) trim += (options.start ? ':' : '') + 'end=' + util.parseTimemark(options.end);
+    filters.push(trim, 'asetpts=PTS-STARTPTS');
+  }
+  if (options.trimSilence) {
+    filters.push('silenceremove=start_periods=1:start_threshold=' + SILENCE_THRESHOLD + ':start_silence=0.1');
+  }
+  if (options.fadeIn) filters.push('afade=t=in:st=0:d=' + options.fadeIn);
+  return filters;
+}
+
+/**
+ * Whether the processing needs the whole audio before it can be applied: two-pass loudness normalization, trailing silence removal and
+ * fade out, which depends on the final length of the audio
+ * @param {*} options Options passed on the command line
+ * @returns True if a second pass is needed
+ */
+export function needsSecondPass(options) {
+  return options.normalize === 'loudnorm' || !!options.trimSilence || !!options.fadeOut;
+}
+
+/**
+ * Measure the audio file for the second pass: its duration, where its trailing silence starts and its loudness
+ * @param {String} fileName Path to the audio file
+ * @param {*} options Options passed on the command line
+ * @returns A Promise containing { duration, sampleRate, trailingSilenceStart, loudness }, loudness is the loudnorm measurement
+ */
+export function analyze(fileName, options) {
+  const filters = [];
+  if (options.trimSilence) filters.push('silencedetect=n=' + SILENCE_THRESHOLD + ':d=' + SILENCE_MIN_DURATION);
+  if (options.normalize === 'loudnorm') filters.push('loudnorm=' + LOUDNORM_TARGET + ':print_format=json');
+
+  const result = { duration: 0, sampleRate: null, trailingSilenceStart: null, loudness: null };
+  let lastSilence = null;
+  let json = null;
+  let jsonDone = false;
+
+  return runAnalysis(fileName, filters, (line) => {
+    let match;
+    if (!result.sampleRate && (match = /Audio: .*?(\d+) Hz/.exec(line))) result.sampleRate = parseInt(match[1]);
+    if ((match = /time=(\S+)/.exec(line))) result.duration = util.parseTimemark(match[1]);
+    if ((match = /silence_start: (\S+)/.exec(line))) lastSilence = { start: parseFloat(match[1]), end: null };
+    if ((match = /silence_end: (\S+)/.exec(line)) && lastSilence) lastSilence.end = parseFloat(match[1]);
+    if (line.trim() === '{') json = '';
+    if (json !== null && !jsonDone) json += line;
+    if (json !== null && line.trim() === '}') jsonDone = true;
+  }).then(() => {
+    /* The trailing silence either never ends or ends with the audio */
+    if (lastSilence && (lastSilence.end === null || lastSilence.end >= result.duration - 0.1)) result.trailingSilenceStart = lastSilence.start;
+    if (json) result.loudness = JSON.parse(json);
+    result.sampleRate = result.sampleRate || DEFAULT_SAMPLE_RATE;
+    return result;
+  });
+}
+
+/**
+ * Filters applied by the second pass, once the audio was analyzed
+ * @param {*} analysis Result of analyze
+ * @param {*} options Options passed on the command line
+ * @returns List of ffmpeg audio filters
+ */
+export function secondPassFilters(analysis, options) {
+  const filters = [];
+  let duration = analysis.duration;
+  if (analysis.trailingSilenceStart !== null && analysis.trailingSilenceStart > 0) {
+    duration = analysis.trailingSilenceStart;
+    filters.push('atrim=end=' + duration);
+  }
+  if (options.fadeOut) filters.push('afade=t=out:st=' + Math.max(duration - options.fadeOut, 0) + ':d=' + options.fadeOut);
+  if (analysis.loudness) {
+    const measured = analysis.loudness;
+    filters.push('loudnorm=' + LOUDNORM_TARGET +
+      ':measured_I=' + measured.input_i + ':measured_TP=' + measured.input_tp + ':measured_LRA=' + measured.input_lra +
+      ':measured_thresh=' + measured.input_thresh + ':offset=' + measured.target_offset + ':linear=true',
+      'aresample=' + analysis.sampleRate);
+  }
+  return filters;
+}
+
+/**
+ * Measure the ReplayGain of an audio file
+ * @param {String} fileName Path to the audio file
+ * @returns A Promise containing the REPLAYGAIN_TRACK_GAIN and REPLAYGAIN_TRACK_PEAK tags
+ */
+export function measureReplayGain(fileName) {
+  const tags = {};
+  return runAnalysis(fileName, ['replaygain'], (line) => {
+    let match;
+    if ((match = /track_gain = (\S+) dB/.exec(line))) tags.REPLAYGAIN_TRACK_GAIN = match[1] + ' dB';
+    if ((match = /track_peak = (\S+)/.exec(line))) tags.REPLAYGAIN_TRACK_PEAK = match[1];
+  }).then(() => tags);
+}
+
+/* Decode the file through the filters without writing anything, every line ffmpeg prints is passed to onLine */
+function runAnalysis(fileName, filters, onLine) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(fileName).noVideo();
+    if (filters.length > 0) command.audioFilters(filters);
+    command
+      .format('null')
+      .on('stderr', onLine)
+      .on('error', (err) => reject(new FfmpegError('Unable to analyze ' + fileName + ': ' + err.message, err)))
+      .on('end', () => resolve())
+      .save('-');
+  });
+}
@@ -0,0 +1,60 @@
+import * as http from '../http.js';
+
+const DISCOGS_API_BASE = 'https://api.discogs.com/';
+const RESULT_LIMIT = 10;
+
+/**
+ * Metadata provider backed by the Discogs release search, which requires a personal access token.
+ * Discogs only knows releases, the song title is taken from the query.
+ */
+export class DiscogsProvider {
+  /**
+   * @param {*} options { log, discogsToken, baseUrl, getJson }, baseUrl and getJson allow pointing the provider to a mock server or recorded fixtures
+   */
+  constructor(options) {
+    this.name = 'discogs';
+    this.log = options.log;
+    this.token = options.discogsToken;
+    this.baseUrl = options.baseUrl || DISCOGS_API_BASE;
+    this.getJson = options.getJson || http.getJson;
+  }
+
+  /**
+   * Search Discogs releases containing the song
+   * @param {*} query { searchTerm, title, artist }
+   * @returns A Promise containing the list of candidates
+   */
+  async search(query) {
+    if (!this.token) {
+      this.log.debug('No Discogs token configured, skipping Discogs.');
+      return [];
+    }
+
+    const params = query.artist && query.title ?
+      'artist=' + encodeURIComponent(query.artist) + '&track=' + encodeURIComponent(query.title) :
+      'q=' + encodeURIComponent(query.searchTerm);
+    const url = this.baseUrl + 'database/search?type=release&per_page=' + RESULT_LIMIT + '&' + params;
+
+    this.log.debug('Searching Discogs for \'' + query.searchTerm + '\' (' + url + ')');
+    const response = await this.getJson(url, { 'Authorization': 'Discogs token=' + this.token });
+    if (response.statusCode !== 200) {
+      this.log.debug('Discogs API returned ' + response.statusCode + ' status code.');
+      return [];
+    }
+
+    return (response.body.results || []).map((release) => {
+      /* Release titles are formatted as 'Artist - Album', artists with homonyms get a ' (2)' suffix */
+      const separator = release.title.indexOf(' - ');
+      const artist = separator < 0 ? null : release.title.slice(0, separator).replace(/\*$|\s\(\d+\)$/g, '');
+      return {
+        provider: this.name,
+        title: query.title,
+        artist: artist,
+        album: separator < 0 ? release.title : release.title.slice(separator + 3),
+        albumUrl: release.cover_image,
+        genre: (release.style || release.genre || [])[0],
+        date: release.year
+      };
+    });
+  }
+}
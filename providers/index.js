@@ -0,0 +1,86 @@
+import { ItunesProvider } from './itunes.js';
+import { MusicBrainzProvider } from './musicbrainz.js';
+import { DiscogsProvider } from './discogs.js';
+import { scoreCandidate, normalize } from './scoring.js';
+
+/* Available metadata providers by name */
+export const PROVIDERS = {
+  itunes: ItunesProvider,
+  musicbrainz: MusicBrainzProvider,
+  discogs: DiscogsProvider
+};
+
+export const DEFAULT_PROVIDERS = ['itunes', 'musicbrainz'];
+
+/* Candidates scoring below this are never used */
+export const DEFAULT_MATCH_THRESHOLD = 0.6;
+
+/* Once the best candidate reaches this score and has every field, the remaining providers are not queried */
+const CONFIDENT_MATCH = 0.85;
+
+/* Fields filled from lower scoring candidates of the same song */
+const MERGED_FIELDS = ['album', 'albumUrl', 'trackNum', 'trackCount', 'genre', 'date'];
+
+/**
+ * Instantiate the provider chain
+ * @param {Array} names Names of the providers, in the order they should be queried
+ * @param {*} options Options passed to every provider, must contain the logger
+ * @returns List of providers
+ */
+export function createProviders(names, options) {
+  return names.map((name) => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) throw new Error('Unknown metadata provider \'' + name + '\', expected one of ' + Object.keys(PROVIDERS).join(', ') + '.');
+    return new Provider(options);
+  });
+}
+
+/**
+ * Query the providers in order until a confident and complete match is found. Every candidate is scored against the query.
+ * @param {Array} providers Provider chain
+ * @param {*} query { searchTerm, title, artist, duration }, title and artist are only set when they were parsed from the video title
+ * @param {Number} threshold Minimum score of the returned candidates
+ * @param {*} log Logger
+ * @returns A Promise containing the candidates scoring above the threshold, best first. Each candidate has its score in 'confidence'.
+ */
+export async function lookup(providers, query, threshold, log) {
+  let candidates = [];
+  for (const provider of providers) {
+    try {
+      const found = await provider.search(query);
+      found.forEach((candidate) => { candidate.confidence = scoreCandidate(candidate, query); });
+      candidates = candidates.concat(found).sort((a, b) => b.confidence - a.confidence);
+    } catch (err) {
+      log.debug('Metadata provider ' + provider.name + ' failed due to: ' + err.stack);
+    }
+
+    const best = candidates.length > 0 ? mergeCandidates(candidates, candidates[0]) : null;
+    if (best && best.confidence >= CONFIDENT_MATCH && MERGED_FIELDS.every((field) => best[field])) break;
+  }
+
+  candidates.slice(0, 5).forEach((candidate) => {
+    log.debug('Candidate ' + candidate.confidence.toFixed(2) + ': ' + candidate.artist + ' - ' + candidate.title + ' (' + candidate.provider + ')');
+  });
+  return candidates.filter((candidate) => candidate.confidence >= threshold);
+}
+
+/**
+ * Merge candidates into the chosen one, its missing fields are taken from the other candidates for the same song
+ * @param {Array} candidates Candidates returned by lookup, best first
+ * @param {*} chosen Candidate to fill in
+ * @returns The merged candidate
+ */
+export function mergeCandidates(candidates, chosen) {
+  const merged = Object.assign({}, chosen);
+  candidates
+    .filter((candidate) => candidate !== chosen && isSameSong(candidate, merged))
+    .forEach((candidate) => MERGED_FIELDS.forEach((field) => {
+      if (!merged[field] && candidate[field]) merged[field] = candidate[field];
+    }));
+  return merged;
+}
+
+/* Candidates are the same song when their artist and title match, ignoring case, accents and punctuation */
+function isSameSong(a, b) {
+  return normalize(a.artist) === normalize(b.artist) && (!a.title || normalize(a.title) === normalize(b.title));
+}
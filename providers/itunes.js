@@ -0,0 +1,49 @@
+import * as http from '../http.js';
+
+const ITUNES_API_BASE = 'https://itunes.apple.com/search?term=';
+
+/**
+ * Metadata provider backed by the Itunes search API
+ */
+export class ItunesProvider {
+  /**
+   * @param {*} options { log, baseUrl, getJson }, baseUrl and getJson allow pointing the provider to a mock server or recorded fixtures
+   */
+  constructor(options) {
+    this.name = 'itunes';
+    this.log = options.log;
+    this.baseUrl = options.baseUrl || ITUNES_API_BASE;
+    this.getJson = options.getJson || http.getJson;
+  }
+
+  /**
+   * Lookup the search term in the Itunes API, every song found is returned, candidates are scored by the provider chain.
+   * @param {*} query { searchTerm, title, artist }, title and artist are only set when they were parsed from the video title
+   * @returns A Promise containing the list of candidates
+   */
+  async search(query) {
+    const url = this.baseUrl + encodeURIComponent(query.searchTerm);
+    this.log.debug('Searching Itunes for \'' + query.searchTerm + '\' (' + url + ')');
+    const response = await this.getJson(url);
+
+    if (response.statusCode !== 200) {
+      this.log.debug('Itunes API returned ' + response.statusCode + ' status code.');
+      return [];
+    }
+
+    return (response.body.results || [])
+      .filter(e => e.kind === 'song')
+      .map(match => ({
+        provider: this.name,
+        title: match.trackName,
+        artist: match.artistName,
+        album: match.collectionName,
+        albumUrl: match.artworkUrl100,
+        trackNum: match.trackNumber,
+        trackCount: match.trackCount,
+        genre: match.primaryGenreName,
+        date: (match.releaseDate || '').slice(0, 4),
+        duration: match.trackTimeMillis && match.trackTimeMillis / 1000
+      }));
+  }
+}
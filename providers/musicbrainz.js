@@ -0,0 +1,92 @@
+import * as http from '../http.js';
+
+const MUSICBRAINZ_API_BASE = 'https://musicbrainz.org/ws/2/';
+const COVER_ART_ARCHIVE_BASE = 'https://coverartarchive.org/release/';
+
+/* MusicBrainz allows one request per second per client */
+const MIN_REQUEST_INTERVAL_MS = 1000;
+const RESULT_LIMIT = 10;
+
+/**
+ * Metadata provider backed by the MusicBrainz recording search
+ */
+export class MusicBrainzProvider {
+  /**
+   * @param {*} options { log, baseUrl, getJson }, baseUrl and getJson allow pointing the provider to a mock server or recorded fixtures
+   */
+  constructor(options) {
+    this.name = 'musicbrainz';
+    this.log = options.log;
+    this.baseUrl = options.baseUrl || MUSICBRAINZ_API_BASE;
+    this.getJson = options.getJson || http.getJson;
+    this.nextRequest = Promise.resolve();
+  }
+
+  /**
+   * Search MusicBrainz recordings, using a field query when the artist and title are known
+   * @param {*} query { searchTerm, title, artist }
+   * @returns A Promise containing the list of candidates
+   */
+  async search(query) {
+    const luceneQuery = query.artist && query.title ?
+      'recording:"' + escapePhrase(query.title) + '" AND artist:"' + escapePhrase(query.artist) + '"' :
+      escapeTerms(query.searchTerm);
+    const url = this.baseUrl + 'recording/?fmt=json&limit=' + RESULT_LIMIT + '&query=' + encodeURIComponent(luceneQuery);
+
+    this.log.debug('Searching MusicBrainz for \'' + luceneQuery + '\' (' + url + ')');
+    const response = await this.throttle(() => this.getJson(url));
+    if (response.statusCode !== 200) {
+      this.log.debug('MusicBrainz API returned ' + response.statusCode + ' status code.');
+      return [];
+    }
+
+    return (response.body.recordings || []).map((recording) => this.toCandidate(recording));
+  }
+
+  /* Convert a MusicBrainz recording into a candidate, using its earliest release for the album information */
+  toCandidate(recording) {
+    const release = (recording.releases || [])
+      .slice()
+      .sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999'))
+      .shift();
+    const medium = release && release.media && release.media[0];
+    const track = medium && medium.track && medium.track[0];
+    const genre = (recording.tags || []).slice().sort((a, b) => b.count - a.count).shift();
+
+    return {
+      provider: this.name,
+      title: recording.title,
+      artist: (recording['artist-credit'] || []).map((credit) => credit.name + (credit.joinphrase || '')).join(''),
+      album: release && release.title,
+      albumUrl: release && COVER_ART_ARCHIVE_BASE + release.id + '/front-500',
+      trackNum: track && parseInt(track.number) || undefined,
+      trackCount: release && release['track-count'],
+      genre: genre && capitalize(genre.name),
+      date: ((release && release.date) || recording['first-release-date'] || '').slice(0, 4),
+      duration: recording.length && recording.length / 1000
+    };
+  }
+
+  /* Run the request once the previous one is far enough in the past */
+  throttle(fn) {
+    const result = this.nextRequest.then(fn);
+    this.nextRequest = result
+      .catch(() => {})
+      .then(() => new Promise((resolve) => setTimeout(resolve, MIN_REQUEST_INTERVAL_MS)));
+    return result;
+  }
+}
+
+/* Escape a value used inside a quoted lucene phrase */
+function escapePhrase(value) {
+  return value.replace(/["\\]/g, '\\$&');
+}
+
+/* Escape every lucene special character of a free text query */
+function escapeTerms(value) {
+  return value.replace(/[+\-&|!(){}[\]^"~*?:\\/]/g, '\\$&');
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
@@ -0,0 +1,87 @@
+/* Weight of each criteria in the score of a candidate, duration is left out when either side doesn't know it */
+const TITLE_WEIGHT = 0.45;
+const ARTIST_WEIGHT = 0.35;
+const DURATION_WEIGHT = 0.2;
+
+/* Durations closer than this are a perfect match, the duration score drops to 0 at DURATION_MAX_DIFF seconds apart */
+const DURATION_TOLERANCE = 3;
+const DURATION_MAX_DIFF = 30;
+
+/**
+ * Normalize a string for comparison: fold accents and case, drop featured artists, turn '&' into 'and' and strip punctuation
+ * @param {String} value String to normalize
+ * @returns The normalized string, words separated by single spaces
+ */
+export function normalize(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[([]?\b(feat|ft|featuring)\b\.?[^)\]]*[)\]]?/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Similarity of two strings after normalization, using the Sorensen-Dice coefficient of their character bigrams
+ * @param {String} a First string
+ * @param {String} b Second string
+ * @returns A number between 0 (nothing in common) and 1 (identical)
+ */
+export function similarity(a, b) {
+  a = normalize(a).replace(/ /g, '');
+  b = normalize(b).replace(/ /g, '');
+  if (a === b) return a.length > 0 ? 1 : 0;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.substr(i, 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.substr(i, 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared += 1;
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Fraction of the words of needle which appear in haystack, after normalization
+ * @param {String} needle Words to look for
+ * @param {String} haystack String to look into
+ * @returns A number between 0 and 1
+ */
+export function containment(needle, haystack) {
+  const words = normalize(needle).split(' ').filter((word) => word);
+  if (words.length === 0) return 0;
+  const haystackWords = new Set(normalize(haystack).split(' '));
+  return words.filter((word) => haystackWords.has(word)).length / words.length;
+}
+
+/**
+ * Score how well a candidate matches the video. When the title and artist were parsed from the video title they are compared directly,
+ * otherwise the candidate title and artist are looked for in the raw search term.
+ * @param {*} candidate Candidate returned by a provider, duration in seconds
+ * @param {*} query { searchTerm, title, artist, duration }, duration of the video in seconds
+ * @returns A number between 0 and 1
+ */
+export function scoreCandidate(candidate, query) {
+  const titleScore = query.title ? similarity(candidate.title, query.title) : containment(candidate.title, query.searchTerm);
+  const artistScore = query.artist ? similarity(candidate.artist, query.artist) : containment(candidate.artist, query.searchTerm);
+
+  if (!candidate.duration || !query.duration) {
+    return (titleScore * TITLE_WEIGHT + artistScore * ARTIST_WEIGHT) / (TITLE_WEIGHT + ARTIST_WEIGHT);
+  }
+
+  const durationDiff = Math.max(Math.abs(candidate.duration - query.duration) - DURATION_TOLERANCE, 0);
+  const durationScore = Math.max(1 - durationDiff / (DURATION_MAX_DIFF - DURATION_TOLERANCE), 0);
+  return titleScore * TITLE_WEIGHT + artistScore * ARTIST_WEIGHT + durationScore * DURATION_WEIGHT;
+}
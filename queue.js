@@ -0,0 +1,65 @@
+/**
+ * Promise based job queue which runs at most `concurrency` jobs at the same time, jobs are started in the order they are added.
+ */
+export class JobQueue {
+  /**
+   * @param {Number} concurrency Maximum number of jobs running in parallel, defaults to 1
+   */
+  constructor(concurrency) {
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.running = 0;
+    this.pending = [];
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Function} task Function returning a Promise, called once the job is allowed to start
+   * @returns A Promise resolved or rejected with the result of the task
+   */
+  add(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Free the slot of a running job while it waits for something other than its own work, like a user confirmation, so that other jobs
+   * can run in the meantime
+   * @param {Promise} promise What the job waits for
+   * @returns A Promise resolved or rejected like promise once the job got a slot back, it takes the first free slot, before the jobs
+   * which haven't started yet
+   */
+  async suspend(promise) {
+    this.running -= 1;
+    this.next();
+    try {
+      return await promise;
+    } finally {
+      await new Promise((resolve) => {
+        this.pending.unshift({ resume: resolve });
+        this.next();
+      });
+    }
+  }
+
+  /* Start as many pending jobs as the concurrency limit allows */
+  next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running += 1;
+      /* Suspended jobs get their slot back, it is freed when their task completes */
+      if (job.resume) {
+        job.resume();
+        continue;
+      }
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.running -= 1;
+          this.next();
+        });
+    }
+  }
+}
@@ -0,0 +1,400 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as path from 'path';
+
+import * as errors from './errors.js';
+import * as metadataUtil from './metadata.js';
+import * as output from './output.js';
+import * as playlist from './playlist.js';
+import { Downloader, normalizeOptions } from './index.js';
+import { JobQueue } from './queue.js';
+import { describeError } from './logging.js';
+
+export const DEFAULT_PORT = 8080;
+export const DEFAULT_HOST = '127.0.0.1';
+export const DEFAULT_DATA_DIR = 'youtube-mp3-data';
+
+/**
+ * Options a client can set on its jobs, the others (providers, download archive, files read by the pipeline...) are set for the whole
+ * server on the command line
+ */
+export const JOB_OPTIONS = ['format', 'bitrate', 'lowQuality', 'separator', 'stripPattern', 'artwork', 'squareArtwork', 'normalize',
+  'trimSilence', 'start', 'end', 'fadeIn', 'fadeOut', 'splitChapters', 'outputTemplate', 'onConflict', 'missingMetadata', 'matchThreshold',
+  'lyrics', 'lyricsLanguage', 'autoCaptions', 'formatSelect', 'title', 'artist', 'album', 'genre', 'year'];
+
+/**
+ * Job statuses:
+ * - queued: waiting for a free slot, to start or to resume once its metadata is confirmed
+ * - running: being downloaded, converted and tagged
+ * - confirming: waiting for a client to confirm its metadata with POST /jobs/:id/metadata
+ * - completed, skipped (already in the download archive) and failed: done
+ */
+const UNFINISHED_STATUSES = ['queued', 'running', 'confirming'];
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * HTTP server running download jobs for its clients. Jobs are stored in the data directory along with their files, so that they
+ * survive restarts: unfinished jobs are started again.
+ */
+export class Server {
+  /**
+   * @param {*} options { port, host, dataDir, jobs } along with the download options shared by every job and the logger, see Downloader
+   * @throws {UsageError} If the options are invalid
+   */
+  constructor(options) {
+    this.port = Number.isInteger(options.port) ? options.port : DEFAULT_PORT;
+    this.host = options.host || DEFAULT_HOST;
+    this.dataDir = path.resolve(options.dataDir || DEFAULT_DATA_DIR);
+    this.downloader = new Downloader(Object.assign({}, options, { output: undefined, resolveMetadata: undefined }));
+    this.log = this.downloader.log;
+    this.queue = new JobQueue(options.jobs);
+    this.store = new JobStore(path.join(this.dataDir, 'jobs.json'));
+    /* Metadata requests of the jobs in the confirming status, by job id */
+    this.confirmations = new Map();
+    this.clients = new Set();
+  }
+
+  /**
+   * Listen for requests, then start the jobs left unfinished by the previous run. With port 0 a free port is picked, see this.port.
+   * @returns A Promise resolved once the server is listening
+   */
+  async listen() {
+    this.httpServer = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', (err) => reject(new errors.UsageError('Unable to listen on ' + this.host + ':' + this.port + ': ' + err.message, err)));
+      this.httpServer.listen(this.port, this.host, () => resolve());
+    });
+    this.port = this.httpServer.address().port;
+    this.heartbeat = setInterval(() => this.clients.forEach((client) => client.res.write(': heartbeat\n\n')), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+
+    this.store.all().filter((job) => UNFINISHED_STATUSES.includes(job.status)).forEach((job) => {
+      this.log.info('Restarting job ' + job.id + ' (' + job.url + ')');
+      this.enqueue(job);
+    });
+  }
+
+  /**
+   * Stop listening and end the event streams, the running jobs are not stopped
+   * @returns A Promise resolved once the server is closed
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+    return new Promise((resolve) => {
+      this.httpServer.close(() => resolve());
+      this.httpServer.closeAllConnections();
+    });
+  }
+
+  /* Route a request, every failure is answered with a JSON error */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://' + (req.headers.host || 'localhost'));
+    const route = (method, pattern) => req.method === method && pattern.exec(url.pathname);
+    let match;
+    try {
+      if (route('GET', /^\/jobs\/?$/)) {
+        sendJson(res, 200, { jobs: this.store.all().map(publicJob) });
+      } else if (route('POST', /^\/jobs\/?$/)) {
+        sendJson(res, 201, { jobs: (await this.submit(await readJson(req))).map(publicJob) });
+      } else if ((match = route('GET', /^\/jobs\/([\w-]+)$/))) {
+        sendJson(res, 200, publicJob(this.job(match[1])));
+      } else if ((match = route('GET', /^\/jobs\/([\w-]+)\/file$/))) {
+        this.sendFile(res, this.job(match[1]), url.searchParams.get('track'));
+      } else if ((match = route('POST', /^\/jobs\/([\w-]+)\/metadata$/))) {
+        sendJson(res, 200, publicJob(this.confirm(this.job(match[1]), await readJson(req))));
+      } else if ((match = route('GET', /^\/jobs\/([\w-]+)\/events$/))) {
+        this.subscribe(req, res, this.job(match[1]).id);
+      } else if (route('GET', /^\/events$/)) {
+        this.subscribe(req, res, null);
+      } else {
+        throw new HttpError(404, 'No route for ' + req.method + ' ' + url.pathname + '.');
+      }
+    } catch (err) {
+      const isClientError = err instanceof errors.UsageError || err instanceof errors.InvalidUrlError;
+      const status = err instanceof HttpError ? err.status : isClientError ? 400 : 500;
+      if (status === 500) this.log.error(err, 'Unable to handle ' + req.method + ' ' + url.pathname + '.');
+      if (!res.headersSent) sendJson(res, status, { error: describeError(err) });
+      else res.end();
+    }
+  }
+
+  /**
+   * Create the jobs of a submitted url, a playlist or channel url creates a job per video
+   * @param {*} body { url, options, confirmMetadata }, options being a subset of JOB_OPTIONS and confirmMetadata whether the metadata
+   * has to be confirmed by a client before it is written
+   * @returns A Promise containing the created jobs
+   */
+  async submit(body) {
+    if (!body || typeof body.url !== 'string') throw new errors.UsageError('The url of the video to download is required.');
+    const options = jobOptions(body.options, this.downloader.options);
+
+    const videos = await playlist.expandUrls([body.url], this.log);
+    const failed = videos.find((video) => video.error);
+    if (failed) throw failed.error;
+    if (videos.some((video) => !video.id)) throw new errors.InvalidUrlError('Invalid youtube url ' + body.url + '.');
+
+    return videos.map((video) => {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        url: video.url,
+        title: video.title,
+        options: options,
+        confirmMetadata: !!body.confirmMetadata,
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now
+      };
+      this.store.add(job);
+      this.log.info('Queued job ' + job.id + ' (' + job.url + ')');
+      this.enqueue(job);
+      return job;
+    });
+  }
+
+  /* Run a job once a slot is free */
+  enqueue(job) {
+    this.update(job, { status: 'queued', progress: null, error: null, confirmation: null });
+    this.queue.add(() => this.run(job)).catch((err) => this.log.error(err, 'Job ' + job.id + ' crashed.'));
+  }
+
+  /**
+   * Run the pipeline of a job, its files are written to its own directory of the data directory
+   * @param {*} job Job to run
+   * @returns A Promise resolved once the job is finished, whether it succeeded or not
+   */
+  async run(job) {
+    this.update(job, { status: 'running' });
+    try {
+      const options = normalizeOptions(Object.assign({}, this.downloader.options, job.options));
+      const template = options.outputTemplate || (options.splitChapters ? output.DEFAULT_TRACK_OUTPUT_TEMPLATE : output.DEFAULT_OUTPUT_TEMPLATE);
+      const overrides = Object.assign(options, {
+        outputTemplate: path.join(this.dataDir, 'files', job.id, template),
+        onEvent: (event) => this.onEvent(job, event),
+        resolveMetadata: job.confirmMetadata ? (request) => this.awaitConfirmation(job, request) : undefined
+      });
+      const result = await this.downloader.download(job.url, overrides);
+      const files = result.tracks ? result.tracks.map((track) => track.filename) : [result.filename];
+      this.update(job, { status: result.skipped ? 'skipped' : 'completed', files: files.map((file) => path.resolve(file)) });
+      this.log.info('Job ' + job.id + ' ' + job.status + ': ' + files.join(', '));
+    } catch (err) {
+      this.update(job, { status: 'failed', error: describeError(err), confirmation: null });
+      this.log.warning(err, 'Job ' + job.id + ' failed:');
+    }
+  }
+
+  /* Keep track of the progress and metadata of a job, and forward its events to the subscribed clients */
+  onEvent(job, event) {
+    if (event.event === 'progress') job.progress = { stage: event.stage, percent: event.percent };
+    if (event.event === 'metadata') this.update(job, { metadata: event.metadata });
+    this.broadcast(job.id, event.event, Object.assign({ job: job.id }, event));
+  }
+
+  /**
+   * Resolver of the metadata of a job which must be confirmed, the job waits until a client confirms it. Its slot is given to the other
+   * jobs in the meantime, once confirmed it runs again as soon as a slot is free.
+   * @param {*} job Job to confirm
+   * @param {*} request Metadata request, see Job.gatherMetadata
+   * @returns A Promise containing the confirmed metadata
+   */
+  async awaitConfirmation(job, request) {
+    this.update(job, { status: 'confirming', confirmation: { metadata: request.metadata, candidates: request.candidates } });
+    this.log.info('Job ' + job.id + ' is waiting for its metadata to be confirmed.');
+    const confirmed = new Promise((resolve) => this.confirmations.set(job.id, { request: request, resolve: resolve }));
+    const metadata = await this.queue.suspend(confirmed);
+    this.update(job, { status: 'running' });
+    return metadata;
+  }
+
+  /**
+   * Confirm the metadata of a job
+   * @param {*} job Job in the confirming status
+   * @param {*} body { candidate, metadata }: candidate is the index of the chosen candidate, null for none of them, the proposed
+   * metadata is kept when it is not set. metadata contains the fields to change (title, artist, album, genre, year).
+   * @returns The job
+   */
+  confirm(job, body) {
+    const confirmation = this.confirmations.get(job.id);
+    if (!confirmation) throw new HttpError(409, 'Job ' + job.id + ' is not waiting for its metadata to be confirmed.');
+    const request = confirmation.request;
+    body = body || {};
+
+    let metadata = request.metadata;
+    if (body.candidate === null) metadata = request.withCandidate(null);
+    else if (body.candidate !== undefined) {
+      if (!request.candidates[body.candidate]) throw new errors.UsageError('Unknown candidate ' + body.candidate + '.');
+      metadata = request.withCandidate(request.candidates[body.candidate]);
+    }
+    metadata = Object.assign({}, metadata, metadataUtil.cliOverrides(body.metadata || {}));
+    const missing = metadataUtil.missingFields(metadata);
+    if (missing.length > 0) throw new errors.UsageError('Missing required metadata: ' + missing.join(', ') + '.');
+
+    this.confirmations.delete(job.id);
+    this.update(job, { status: 'queued', confirmation: null });
+    confirmation.resolve(metadata);
+    return job;
+  }
+
+  /* Answer with a file of a finished job, the n-th track when the video was split */
+  sendFile(res, job, track) {
+    if (!job.files) throw new HttpError(409, 'Job ' + job.id + ' is ' + job.status + ', it has no file yet.');
+    const file = job.files[track ? parseInt(track) - 1 : 0];
+    if (!file || !fs.existsSync(file)) throw new HttpError(404, 'No such file for job ' + job.id + '.');
+
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': fs.statSync(file).size,
+      'Content-Disposition': 'attachment; filename*=UTF-8\'\'' + encodeURIComponent(path.basename(file))
+    });
+    fs.createReadStream(file).pipe(res);
+  }
+
+  /* Stream the events of a job, or of every job when jobId is null, as Server-Sent Events */
+  subscribe(req, res, jobId) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+    const client = { res: res, jobId: jobId };
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+    /* Start with the current state so clients don't miss what happened before they connected */
+    const jobs = jobId ? [this.store.get(jobId)] : this.store.all();
+    jobs.forEach((job) => writeEvent(res, 'job', publicJob(job)));
+  }
+
+  broadcast(jobId, name, data) {
+    this.clients.forEach((client) => {
+      if (client.jobId === null || client.jobId === jobId) writeEvent(client.res, name, data);
+    });
+  }
+
+  /* Change the fields of a job, persist it and notify the clients */
+  update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    this.store.save();
+    this.broadcast(job.id, 'job', publicJob(job));
+  }
+
+  job(id) {
+    const job = this.store.get(id);
+    if (!job) throw new HttpError(404, 'Unknown job ' + id + '.');
+    return job;
+  }
+}
+
+/**
+ * Jobs persisted as a JSON array, rewritten as a whole whenever a job changes. Progress is only persisted along with the other changes.
+ */
+class JobStore {
+  /**
+   * @param {String} fileName Path to the JSON file, created with its directory if it doesn't exist
+   */
+  constructor(fileName) {
+    this.fileName = fileName;
+    this.jobs = [];
+    try {
+      if (fs.existsSync(fileName)) this.jobs = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+    } catch (err) {
+      throw new errors.UsageError('Unable to read the job store ' + fileName + ': ' + err.message, err);
+    }
+  }
+
+  all() {
+    return this.jobs;
+  }
+
+  get(id) {
+    return this.jobs.find((job) => job.id === id) || null;
+  }
+
+  add(job) {
+    this.jobs.push(job);
+    this.save();
+  }
+
+  /* Written to a temporary file first so a crash never leaves a truncated store */
+  save() {
+    const tmpFileName = this.fileName + '.tmp';
+    try {
+      fs.mkdirSync(path.dirname(this.fileName), { recursive: true });
+      fs.writeFileSync(tmpFileName, JSON.stringify(this.jobs, null, 2));
+      fs.renameSync(tmpFileName, this.fileName);
+    } catch (err) {
+      throw new errors.OutputWriteError('Unable to write the job store ' + this.fileName + ': ' + err.message, err);
+    }
+  }
+}
+
+/* Error answered with a specific HTTP status */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check the options of a submitted job
+ * @param {*} options Options sent by the client
+ * @param {*} defaults Options of the server
+ * @returns The options of the job
+ * @throws {UsageError} If an option is unknown or invalid
+ */
+function jobOptions(options, defaults) {
+  options = options || {};
+  Object.keys(options).forEach((key) => {
+    if (!JOB_OPTIONS.includes(key)) throw new errors.UsageError('Unknown or forbidden job option ' + key + '.');
+  });
+  /* Files must stay in the directory of the job */
+  const template = options.outputTemplate;
+  if (template !== undefined && (typeof template !== 'string' || path.isAbsolute(template) || template.split('/').includes('..'))) {
+    throw new errors.UsageError('The output template must be a relative path inside the job directory.');
+  }
+  normalizeOptions(Object.assign({}, defaults, options));
+  return options;
+}
+
+/* What clients see of a job, files are served by GET /jobs/:id/file instead of exposing server paths */
+function publicJob(job) {
+  const result = Object.assign({}, job);
+  if (job.files) result.files = job.files.map((file) => path.basename(file));
+  return result;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body is too large.'));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(new errors.UsageError('Invalid JSON body: ' + err.message, err));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body) + '\n');
+}
+
+function writeEvent(res, name, data) {
+  res.write('event: ' + name + '\ndata: ' + JSON.stringify(data) + '\n\n');
+}
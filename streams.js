@@ -0,0 +1,145 @@
+/**
+ * Selection of the youtube format (stream) to download. A selector lists alternatives separated by '/', tried in order until one
+ * matches a format. Each alternative is a comma separated list of conditions which must all hold:
+ * - audioonly: formats without video, video: formats with both audio and video, any: every format
+ * - <field><operator><value> with the fields below and the operators =, !=, >, >=, < and <=, only = and != for text fields
+ * e.g. 'audioonly,codec=opus,bitrate>=128/audioonly/any'
+ * The formats matching an alternative are ranked like without a selector: audio-only formats first (muxed ones in video mode), then
+ * the highest audio bitrate, or the smallest size in low quality mode.
+ */
+
+/* Fields of the selector conditions, by name: value of a ytdl format and whether it is numeric */
+const SELECTOR_FIELDS = {
+  itag: { numeric: true, value: (format) => format.itag },
+  codec: { numeric: false, value: (format) => format.audioCodec },
+  container: { numeric: false, value: (format) => format.container },
+  bitrate: { numeric: true, value: (format) => format.audioBitrate },
+  samplerate: { numeric: true, value: (format) => parseInt(format.audioSampleRate) || null },
+  size: { numeric: true, value: (format) => formatSize(format) }
+};
+
+const SELECTOR_FLAGS = {
+  audioonly: (format) => !format.hasVideo,
+  video: (format) => format.hasVideo,
+  any: () => true
+};
+
+const OPERATORS = {
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+const CONDITION_PATTERN = /^([a-z]+)\s*(!=|>=|<=|=|>|<)\s*(.+)$/;
+/* Sizes can be given with a decimal unit, like 5M */
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)([kmg]?)b?$/;
+const SIZE_UNITS = { '': 1, k: 1e3, m: 1e6, g: 1e9 };
+/* Names the codecs are also known by, youtube calls AAC mp4a */
+const CODEC_ALIASES = { aac: 'mp4a' };
+
+/**
+ * Parse a format selector
+ * @param {String} selector Selector expression, see above
+ * @returns List of alternatives, each one being a list of predicates on ytdl formats
+ * @throws {Error} If the selector is invalid
+ */
+export function parseSelector(selector) {
+  return selector.split('/').map((alternative) => alternative.split(',').map((condition) => parseCondition(condition.trim().toLowerCase())));
+}
+
+/**
+ * Choose the format to download among the ones of a video
+ * @param {Array} formats Formats of the video, as returned by ytdl.getInfo
+ * @param {*} options { formatSelect, lowQuality, video }: the selector expression, if any, whether to prefer the smallest format and
+ * whether the video itself is kept
+ * @returns The format, or null if no format with audio matches the selector
+ */
+export function selectFormat(formats, options) {
+  const alternatives = options.formatSelect ? parseSelector(options.formatSelect) : [[]];
+  const candidates = rankFormats(formats, options);
+  for (const conditions of alternatives) {
+    const format = candidates.find((candidate) => conditions.every((condition) => condition(candidate)));
+    if (format) return format;
+  }
+  return null;
+}
+
+/**
+ * Sort the formats containing audio from the most to the least preferred
+ * @param {Array} formats Formats of the video, as returned by ytdl.getInfo
+ * @param {*} options { lowQuality, video }, see selectFormat
+ * @returns The sorted formats with audio
+ */
+export function rankFormats(formats, options) {
+  const kind = (format) => (options.video ? !format.hasVideo : format.hasVideo) ? 1 : 0;
+  /* Formats of unknown size come last */
+  const size = (format) => formatSize(format) || Infinity;
+  return formats.filter((format) => format.hasAudio).sort((a, b) => kind(a) - kind(b) || (options.lowQuality ?
+    size(a) - size(b) || (b.audioBitrate || 0) - (a.audioBitrate || 0) :
+    (b.audioBitrate || 0) - (a.audioBitrate || 0) || size(a) - size(b)));
+}
+
+/**
+ * Size of a format in bytes, estimated from its bitrate and duration when youtube does not give it
+ * @param {*} format ytdl format
+ * @returns The size, or null if it is unknown
+ */
+export function formatSize(format) {
+  const size = parseInt(format.contentLength);
+  if (size > 0) return size;
+  if (format.bitrate && format.approxDurationMs) return Math.round(format.bitrate * parseInt(format.approxDurationMs) / 8000);
+  return null;
+}
+
+/**
+ * Describe a format for listings
+ * @param {*} format ytdl format
+ * @returns { itag, container, codec, bitrate, sampleRate, size, audioOnly }, bitrate in kbps, sample rate in Hz and size in bytes
+ */
+export function describeFormat(format) {
+  return {
+    itag: format.itag,
+    container: format.container || null,
+    codec: format.audioCodec || null,
+    bitrate: format.audioBitrate || null,
+    sampleRate: parseInt(format.audioSampleRate) || null,
+    size: formatSize(format),
+    audioOnly: !format.hasVideo
+  };
+}
+
+function parseCondition(condition) {
+  if (SELECTOR_FLAGS[condition]) return SELECTOR_FLAGS[condition];
+
+  const match = CONDITION_PATTERN.exec(condition);
+  if (!match) throw new Error('Invalid format condition \'' + condition + '\'');
+  const field = SELECTOR_FIELDS[match[1]];
+  if (!field) throw new Error('Unknown format field \'' + match[1] + '\', use one of ' + Object.keys(SELECTOR_FIELDS).join(', '));
+
+  if (!field.numeric) {
+    if (match[2] !== '=' && match[2] !== '!=') throw new Error('Only = and != can compare ' + match[1]);
+    const expected = CODEC_ALIASES[match[3]] || match[3];
+    /* Codecs also match without their profile, mp4a matches mp4a.40.2 */
+    const matches = (format) => {
+      const value = String(field.value(format) || '').toLowerCase();
+      return value === expected || value.split('.')[0] === expected;
+    };
+    return match[2] === '=' ? matches : (format) => !matches(format);
+  }
+
+  const compare = OPERATORS[match[2]];
+  const expected = match[1] === 'size' ? parseSize(match[3]) : parseFloat(match[3]);
+  if (!(expected >= 0)) throw new Error('Invalid number in format condition \'' + condition + '\'');
+  return (format) => {
+    const value = field.value(format);
+    return value !== null && value !== undefined && compare(value, expected);
+  };
+}
+
+function parseSize(text) {
+  const match = SIZE_PATTERN.exec(text);
+  return match ? parseFloat(match[1]) * SIZE_UNITS[match[2]] : NaN;
+}
@@ -0,0 +1,219 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import fsExtra from 'fs-extra';
+import sanitize from 'sanitize-filename';
+
+import * as local from './local.js';
+import * as output from './output.js';
+import * as tags from './tags.js';
+import { OutputWriteError, UsageError } from './errors.js';
+
+export const MANIFEST_FILE_NAME = '.youtube-mp3-sync.json';
+export const DROPPED_DIR_NAME = 'dropped';
+
+/**
+ * What happens to the files of the videos dropped from the playlist
+ * - keep: leave the file where it is, it is no longer part of the sync
+ * - delete: delete the file
+ * - archive: move the file to the dropped directory of the synced directory
+ */
+export const DROPPED_POLICIES = ['keep', 'delete', 'archive'];
+
+/**
+ * Manifest of a directory synced with a playlist, stored as JSON in the directory: the playlist id and title, the name of the .m3u8
+ * file written for it and one entry per downloaded video, { id, file, position, title, artist, duration, videoTitle }, file being
+ * relative to the directory and position the 1-based position of the video in the playlist.
+ */
+export class SyncManifest {
+  /**
+   * @param {String} dir Synced directory, the manifest is created on the first save if it doesn't exist
+   * @throws {UsageError} If the manifest can't be read
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.fileName = path.join(dir, MANIFEST_FILE_NAME);
+    this.playlist = null;
+    this.title = null;
+    this.m3uFile = null;
+    this.entries = [];
+    if (fs.existsSync(this.fileName)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.fileName, 'utf8'));
+        this.playlist = data.playlist;
+        this.title = data.title;
+        this.m3uFile = data.m3uFile;
+        this.entries = data.entries || [];
+      } catch (err) {
+        throw new UsageError('Unable to read sync manifest ' + this.fileName + ': ' + err.message, err);
+      }
+    }
+  }
+
+  /**
+   * Compare the manifest with the current videos of the playlist. Videos listed several times only count at their first position.
+   * @param {*} playlist Playlist returned by playlist.fetchPlaylist
+   * @returns { added, moved, dropped }: added are the videos to download, along with their position, because they are new or their
+   * file was deleted, moved are { entry, position } for the entries whose position changed and dropped the entries of the videos which
+   * left the playlist
+   * @throws {UsageError} If the directory is synced with another playlist
+   */
+  diff(playlist) {
+    if (this.playlist && this.playlist !== playlist.id) {
+      throw new UsageError(this.dir + ' is synced with another playlist (' + this.playlist + '), use another directory.');
+    }
+
+    const positions = new Map();
+    playlist.videos.forEach((video, i) => {
+      if (video.id && !positions.has(video.id)) positions.set(video.id, i + 1);
+    });
+
+    const added = [];
+    const moved = [];
+    positions.forEach((position, id) => {
+      const entry = this.entries.find((e) => e.id === id && fs.existsSync(this.path(e)));
+      if (!entry) added.push(Object.assign({ position: position }, playlist.videos[position - 1]));
+      else if (entry.position !== position) moved.push({ entry: entry, position: position });
+    });
+    return { added: added, moved: moved, dropped: this.entries.filter((entry) => !positions.has(entry.id)) };
+  }
+
+  /**
+   * Record a downloaded video, replacing its previous entry. The title, artist and duration are read from the final file.
+   * @param {*} video Added video, as returned by diff
+   * @param {*} result Result of Downloader.download
+   * @returns A Promise containing the new entry
+   */
+  async add(video, result) {
+    const probeData = result.metadata || await local.probe(result.filename);
+    const fileTags = local.readTags(probeData);
+    const entry = {
+      id: video.id,
+      file: path.relative(this.dir, result.filename),
+      position: video.position,
+      title: fileTags.title || video.title,
+      artist: fileTags.artist || null,
+      duration: Math.round(parseFloat(probeData.format && probeData.format.duration)) || video.duration || null,
+      videoTitle: video.title || null
+    };
+    this.entries = this.entries.filter((e) => e.id !== video.id).concat(entry);
+    return entry;
+  }
+
+  /**
+   * Move an entry to a new position in the playlist, updating the track number of its file and renaming it with the output template,
+   * which may contain the track number. The template is rendered with the tags of the file, existing files get a ' (n)' suffix rather
+   * than being overwritten.
+   * @param {*} entry Entry of the manifest, its file is updated
+   * @param {Number} position New position of the video
+   * @param {String} template Output template, relative to the synced directory
+   * @returns A Promise resolved once the file is retagged and renamed
+   * @throws {OutputWriteError} If the file can't be renamed
+   */
+  async move(entry, position, template) {
+    const fileName = this.path(entry);
+    const format = local.formatOfFile(entry.file);
+    if (format) await tags.writeTrackNumber(fileName, format, position);
+    entry.position = position;
+
+    const fileTags = local.readTags(await local.probe(fileName));
+    const target = path.join(this.dir, output.renderTemplate(template, templateValues(entry, fileTags)));
+    if (path.resolve(target) === path.resolve(fileName)) return;
+    const newFileName = output.resolveConflict(target, 'rename').fileName;
+    try {
+      fsExtra.moveSync(fileName, newFileName);
+    } catch (err) {
+      throw new OutputWriteError('Unable to rename ' + fileName + ' to ' + newFileName + ': ' + err.message, err);
+    }
+    entry.file = path.relative(this.dir, newFileName);
+  }
+
+  /**
+   * Remove the entry of a video dropped from the playlist, handling its file with the given policy
+   * @param {*} entry Entry of the manifest
+   * @param {String} policy One of DROPPED_POLICIES
+   * @returns The new path of the file for the archive policy, null otherwise
+   * @throws {OutputWriteError} If the file can't be deleted or moved
+   */
+  drop(entry, policy) {
+    const fileName = this.path(entry);
+    let target = null;
+    try {
+      if (policy === 'delete' && fs.existsSync(fileName)) {
+        fs.unlinkSync(fileName);
+      } else if (policy === 'archive' && fs.existsSync(fileName)) {
+        target = path.join(this.dir, DROPPED_DIR_NAME, entry.file);
+        fsExtra.moveSync(fileName, target, { overwrite: true });
+      }
+    } catch (err) {
+      throw new OutputWriteError('Unable to ' + (policy === 'delete' ? 'delete ' : 'move ') + fileName + ': ' + err.message, err);
+    }
+    this.entries = this.entries.filter((e) => e !== entry);
+    return target;
+  }
+
+  /**
+   * Write the manifest, along with the .m3u8 file of the playlist
+   * @param {*} playlist Playlist returned by playlist.fetchPlaylist
+   * @returns Path to the .m3u8 file
+   * @throws {OutputWriteError} If the files can't be written
+   */
+  save(playlist) {
+    this.playlist = playlist.id;
+    this.title = playlist.title;
+    const m3uFile = sanitize(playlist.title || playlist.id) + '.m3u8';
+    const data = { playlist: this.playlist, title: this.title, m3uFile: m3uFile, entries: this.entries };
+    try {
+      fsExtra.mkdirsSync(this.dir);
+      /* A renamed playlist gets a new .m3u8 file */
+      if (this.m3uFile && this.m3uFile !== m3uFile && fs.existsSync(path.join(this.dir, this.m3uFile))) {
+        fs.unlinkSync(path.join(this.dir, this.m3uFile));
+      }
+      fs.writeFileSync(path.join(this.dir, m3uFile), renderM3u(this.title, this.entries.filter((entry) => fs.existsSync(this.path(entry)))));
+      fs.writeFileSync(this.fileName + '.tmp', JSON.stringify(data, null, 2) + '\n');
+      fs.renameSync(this.fileName + '.tmp', this.fileName);
+    } catch (err) {
+      throw new OutputWriteError('Unable to write the sync manifest of ' + this.dir + ': ' + err.message, err);
+    }
+    this.m3uFile = m3uFile;
+    return path.join(this.dir, m3uFile);
+  }
+
+  /**
+   * Path to the file of an entry
+   * @param {*} entry Entry of the manifest
+   * @returns The path, including the synced directory
+   */
+  path(entry) {
+    return path.join(this.dir, entry.file);
+  }
+}
+
+/* Values of the output template of a synced file, read back from its tags as the youtube metadata is gone */
+function templateValues(entry, fileTags) {
+  return Object.assign({}, fileTags, {
+    title: fileTags.title || entry.title,
+    artist: fileTags.artist || entry.artist,
+    year: String(fileTags.date || '').slice(0, 4) || null,
+    trackNum: entry.position,
+    id: entry.id,
+    videoTitle: entry.videoTitle,
+    format: local.formatOfFile(entry.file),
+    ext: path.extname(entry.file).slice(1)
+  });
+}
+
+/**
+ * Render an extended M3U playlist, in playlist order
+ * @param {String} title Title of the playlist
+ * @param {Array} entries Entries of the manifest
+ * @returns Content of the .m3u8 file, file paths being relative to the synced directory
+ */
+export function renderM3u(title, entries) {
+  const lines = ['#EXTM3U'];
+  if (title) lines.push('#PLAYLIST:' + title);
+  entries.slice().sort((a, b) => a.position - b.position).forEach((entry) => {
+    const name = entry.artist && entry.title ? entry.artist + ' - ' + entry.title : entry.title || path.basename(entry.file);
+    lines.push('#EXTINF:' + (entry.duration || -1) + ',' + name, entry.file.split(path.sep).join('/'));
+  });
+  return lines.join('\n') + '\n';
+}
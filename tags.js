@@ -0,0 +1,96 @@
+import ffmpeg from 'fluent-ffmpeg';
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { AUDIO_FORMATS } from './formats.js';
+import { vorbisPicture } from './artwork.js';
+import { TagWriteError } from './errors.js';
+import * as id3 from './id3.js';
+
+/**
+ * Write tags to an audio file. The audio is copied without re-encoding into a temporary file along with the tags, which then replaces
+ * the original file. The kind of tags written (ID3, MP4 atoms, vorbis comments...) depends on the output format.
+ * Tags are passed to ffmpeg through an ffmetadata file, so values as large as an embedded picture don't hit command line length limits.
+ * @param {String} fileName Path to the audio file
+ * @param {String} formatName Name of the audio format of the file, a key of AUDIO_FORMATS
+ * @param {*} tags Tags to write, keyed by ffmpeg metadata names (title, artist, album, genre, date...)
+ * @param {String} coverFile Path to a JPEG or PNG image to embed as the front cover, optional
+ * @returns A Promise resolved once the tags are written, rejected with a TagWriteError
+ */
+export function writeTags(fileName, formatName, tags, coverFile) {
+  const format = AUDIO_FORMATS[formatName];
+  const extension = path.extname(fileName);
+  const baseName = path.join(path.dirname(fileName), path.basename(fileName, extension));
+  const tmpFileName = baseName + '.tagging' + extension;
+  const metadataFileName = baseName + '.ffmetadata';
+
+  tags = Object.assign({}, tags);
+  if (coverFile && format.coverArt === 'vorbis_picture') tags.METADATA_BLOCK_PICTURE = vorbisPicture(coverFile);
+  fs.writeFileSync(metadataFileName, toFfmetadata(tags));
+
+  const command = ffmpeg(fileName).input(metadataFileName);
+  const outputOptions = ['-map', '0:a', '-codec', 'copy'];
+  outputOptions.push(format.metadataTarget === 'stream' ? '-map_metadata:s:a:0' : '-map_metadata', '1');
+  if (coverFile && format.coverArt === 'attached_pic') {
+    command.input(coverFile);
+    outputOptions.push('-map', '2:v', '-disposition:v', 'attached_pic',
+      '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+  }
+
+  const cleanup = () => fs.unlink(metadataFileName, () => {});
+  return new Promise((resolve, reject) => {
+    const fail = (err) => reject(new TagWriteError('Unable to write tags to ' + fileName + ': ' + err.message, err));
+    command
+      .format(format.muxer)
+      .outputOptions(...outputOptions.concat(format.tagOptions))
+      .on('error', (err) => {
+        cleanup();
+        fs.unlink(tmpFileName, () => fail(err));
+      })
+      .on('end', () => {
+        cleanup();
+        fs.rename(tmpFileName, fileName, (err) => err ? fail(err) : resolve());
+      })
+      .save(tmpFileName);
+  });
+}
+
+/**
+ * Change the track number of a tagged audio file, keeping its other tags and its cover. The TRCK frame of mp3 files is replaced in
+ * place, which also keeps the lyrics frames ffmpeg can't copy, other files are copied by ffmpeg with their tags.
+ * @param {String} fileName Path to the audio file
+ * @param {String} formatName Name of the audio format of the file, a key of AUDIO_FORMATS
+ * @param {String} track Track number, optionally followed by '/' and the track count
+ * @returns A Promise resolved once the tag is written, rejected with a TagWriteError
+ */
+export function writeTrackNumber(fileName, formatName, track) {
+  const format = AUDIO_FORMATS[formatName];
+  if (format.tagStyle === 'id3') {
+    try {
+      id3.replaceFrames(fileName, [id3.textFrame('TRCK', String(track))]);
+      return Promise.resolve();
+    } catch (err) {
+      return Promise.reject(new TagWriteError('Unable to write tags to ' + fileName + ': ' + err.message, err));
+    }
+  }
+
+  const extension = path.extname(fileName);
+  const tmpFileName = path.join(path.dirname(fileName), path.basename(fileName, extension) + '.tagging' + extension);
+  const target = format.metadataTarget === 'stream' ? ':s:a:0' : '';
+  return new Promise((resolve, reject) => {
+    const fail = (err) => reject(new TagWriteError('Unable to write tags to ' + fileName + ': ' + err.message, err));
+    ffmpeg(fileName)
+      .format(format.muxer)
+      .outputOptions('-map', '0', '-codec', 'copy', '-map_metadata' + target, '0' + target, '-metadata' + target, 'track=' + track,
+        ...format.tagOptions)
+      .on('error', (err) => fs.unlink(tmpFileName, () => fail(err)))
+      .on('end', () => fs.rename(tmpFileName, fileName, (err) => err ? fail(err) : resolve()))
+      .save(tmpFileName);
+  });
+}
+
+/* Serialize tags into ffmpeg's ffmetadata format */
+function toFfmetadata(tags) {
+  const escape = (value) => String(value).replace(/[=;#\\\n]/g, (c) => '\\' + c);
+  return Object.keys(tags).reduce((out, name) => out + escape(name) + '=' + escape(tags[name]) + '\n', ';FFMETADATA1\n');
+}
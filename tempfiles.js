@@ -0,0 +1,45 @@
+import * as fs from 'fs';
+
+/* Temporary files which still have to be removed, whatever happens to the pipeline that created them */
+const pending = new Set();
+
+/* Synchronous as 'exit' listeners can't wait for anything */
+process.on('exit', () => removeAll());
+
+/**
+ * Register a temporary file, it is removed when the process exits unless it is released or removed before
+ * @param {String} fileName Path to the temporary file or directory, it does not have to exist yet
+ * @returns fileName
+ */
+export function register(fileName) {
+  pending.add(fileName);
+  return fileName;
+}
+
+/**
+ * Forget about a temporary file, used once it has been moved to its final location
+ * @param {String} fileName Path to the temporary file
+ */
+export function release(fileName) {
+  pending.delete(fileName);
+}
+
+/**
+ * Remove a temporary file now, directories are removed with their content, missing files are ignored
+ * @param {String} fileName Path to the temporary file or directory
+ */
+export function remove(fileName) {
+  pending.delete(fileName);
+  try {
+    fs.rmSync(fileName, { recursive: true, force: true });
+  } catch (err) {
+    /* Removed by someone else in the meantime */
+  }
+}
+
+/**
+ * Remove every registered temporary file
+ */
+export function removeAll() {
+  pending.forEach((fileName) => remove(fileName));
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { DownloadArchive } from '../archive.js';
+
+test('DownloadArchive stores absolute paths, so that prune keeps existing files from another directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-mp3-test-'));
+  const cwd = process.cwd();
+  try {
+    fs.mkdirSync(path.join(dir, 'music'));
+    fs.mkdirSync(path.join(dir, 'other'));
+    fs.writeFileSync(path.join(dir, 'music', 'song.mp3'), 'audio');
+    const archiveFile = path.join(dir, 'archive.jsonl');
+
+    process.chdir(path.join(dir, 'music'));
+    const entry = await new DownloadArchive(archiveFile).add('abc', 'song.mp3');
+    assert.equal(entry.file, path.join(fs.realpathSync(dir), 'music', 'song.mp3'));
+
+    process.chdir(path.join(dir, 'other'));
+    const archive = new DownloadArchive(archiveFile);
+    assert.deepEqual(archive.prune(false), []);
+    assert.deepEqual(archive.find('abc').map((e) => e.file), [entry.file]);
+
+    fs.rmSync(entry.file);
+    assert.deepEqual(new DownloadArchive(archiveFile).prune(false).map((e) => e.id), ['abc']);
+    assert.deepEqual(new DownloadArchive(archiveFile).entries, []);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
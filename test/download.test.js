@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as os from 'os';
+import * as path from 'path';
+import { PassThrough } from 'stream';
+
+import { downloadToFile, lockFile } from '../download.js';
+import { NetworkError } from '../errors.js';
+
+const DATA = Buffer.from(Array.from({ length: 64 * 1024 }, (_, i) => i % 251));
+const CUT_AT = 20000;
+
+/* Serve DATA, honoring Range headers, the first response is cut after CUT_AT bytes */
+async function startServer() {
+  const ranges = [];
+  const server = http.createServer((req, res) => {
+    ranges.push(req.headers.range || null);
+    const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    const start = match ? parseInt(match[1], 10) : 0;
+    res.writeHead(match ? 206 : 200, { 'Content-Length': DATA.length - start });
+    if (ranges.length === 1) {
+      res.write(DATA.subarray(start, CUT_AT), () => res.destroy());
+    } else {
+      res.end(DATA.subarray(start));
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server: server, ranges: ranges, url: 'http://127.0.0.1:' + server.address().port + '/' };
+}
+
+/* Like ytdl with a range option: a stream of the data from the start offset, failing when the connection drops */
+function opener(url) {
+  return (start) => {
+    const stream = new PassThrough();
+    http.get(url, { headers: start > 0 ? { Range: 'bytes=' + start + '-' } : {} }, (res) => {
+      res.on('error', (err) => stream.destroy(new NetworkError('Connection lost: ' + err.message, err)));
+      res.pipe(stream);
+    }).on('error', (err) => stream.destroy(new NetworkError('Connection lost: ' + err.message, err)));
+    return stream;
+  };
+}
+
+function tempFileName(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-mp3-test-')), name);
+}
+
+function collect(stream) {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  return new Promise((resolve) => stream.on('end', () => resolve(Buffer.concat(chunks))));
+}
+
+test('downloadToFile resumes a dropped connection with a Range header', async () => {
+  const { server, ranges, url } = await startServer();
+  const fileName = tempFileName('video.webm');
+  const retries = [];
+  try {
+    const result = await downloadToFile(opener(url), fileName, {
+      retries: 2,
+      totalSize: DATA.length,
+      onRetry: (err, attempt) => retries.push(attempt)
+    });
+    assert.equal(result, fileName);
+    assert.deepEqual(ranges, [null, 'bytes=' + CUT_AT + '-']);
+    assert.deepEqual(retries, [1]);
+    assert.ok(fs.readFileSync(fileName).equals(DATA));
+    assert.equal(fs.existsSync(fileName + '.part'), false);
+  } finally {
+    server.close();
+    fs.rmSync(path.dirname(fileName), { recursive: true, force: true });
+  }
+});
+
+test('downloadToFile keeps the .part file of a failed download and resumes it later, teeing the whole file', async () => {
+  const { server, ranges, url } = await startServer();
+  const fileName = tempFileName('video.webm');
+  try {
+    await assert.rejects(downloadToFile(opener(url), fileName, { retries: 0, totalSize: DATA.length }), NetworkError);
+    assert.equal(fs.statSync(fileName + '.part').size, CUT_AT);
+
+    const tee = new PassThrough();
+    const teed = collect(tee);
+    await downloadToFile(opener(url), fileName, { retries: 0, totalSize: DATA.length, tee: tee });
+    assert.deepEqual(ranges, [null, 'bytes=' + CUT_AT + '-']);
+    assert.ok(fs.readFileSync(fileName).equals(DATA));
+    assert.ok((await teed).equals(DATA));
+  } finally {
+    server.close();
+    fs.rmSync(path.dirname(fileName), { recursive: true, force: true });
+  }
+});
+
+test('downloadToFile stops when its signal aborts', async () => {
+  const { server, url } = await startServer();
+  const fileName = tempFileName('video.webm');
+  const controller = new AbortController();
+  const reason = new Error('conversion failed');
+  try {
+    await assert.rejects(downloadToFile(opener(url), fileName, {
+      retries: 2,
+      totalSize: DATA.length,
+      signal: controller.signal,
+      onRetry: () => controller.abort(reason)
+    }), (err) => err === reason);
+    assert.equal(fs.existsSync(fileName), false);
+  } finally {
+    server.close();
+    fs.rmSync(path.dirname(fileName), { recursive: true, force: true });
+  }
+});
+
+test('downloadToFile of the same file by two jobs holding its lock runs one after the other', async () => {
+  const { server, ranges, url } = await startServer();
+  const fileName = tempFileName('video.webm');
+  const job = async () => {
+    const tee = new PassThrough();
+    const teed = collect(tee);
+    const unlock = await lockFile(fileName);
+    try {
+      await downloadToFile(opener(url), fileName, { retries: 2, totalSize: DATA.length, tee: tee });
+    } finally {
+      unlock();
+    }
+    return teed;
+  };
+  try {
+    const teed = await Promise.all([job(), job()]);
+    assert.deepEqual(ranges, [null, 'bytes=' + CUT_AT + '-', null]);
+    assert.ok(teed[0].equals(DATA));
+    assert.ok(teed[1].equals(DATA));
+    assert.ok(fs.readFileSync(fileName).equals(DATA));
+    assert.equal(fs.existsSync(fileName + '.lock'), false);
+  } finally {
+    server.close();
+    fs.rmSync(path.dirname(fileName), { recursive: true, force: true });
+  }
+});
+
+test('lockFile takes over the lock of a process which no longer runs', async () => {
+  const fileName = tempFileName('video.webm');
+  try {
+    fs.writeFileSync(fileName + '.lock', '999999');
+    const unlock = await lockFile(fileName);
+    assert.equal(fs.readFileSync(fileName + '.lock', 'utf8'), String(process.pid));
+    unlock();
+    assert.equal(fs.existsSync(fileName + '.lock'), false);
+  } finally {
+    fs.rmSync(path.dirname(fileName), { recursive: true, force: true });
+  }
+});
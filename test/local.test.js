@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { findAudioFiles, findMediaFiles } from '../local.js';
+import { UsageError } from '../errors.js';
+
+test('findAudioFiles keeps audio files of directories while findMediaFiles keeps videos too', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-mp3-test-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'live'));
+    ['b.mp3', 'a.webm', 'notes.txt', 'live/concert.MKV', 'live/song.flac'].forEach((name) => fs.writeFileSync(path.join(dir, name), ''));
+
+    assert.deepEqual(findAudioFiles([dir]), [path.join(dir, 'b.mp3'), path.join(dir, 'live', 'song.flac')]);
+    assert.deepEqual(findMediaFiles([dir]), [
+      path.join(dir, 'a.webm'),
+      path.join(dir, 'b.mp3'),
+      path.join(dir, 'live', 'concert.MKV'),
+      path.join(dir, 'live', 'song.flac')
+    ]);
+    assert.deepEqual(findMediaFiles([path.join(dir, 'notes.txt')]), [path.join(dir, 'notes.txt')]);
+    assert.throws(() => findMediaFiles([path.join(dir, 'missing')]), UsageError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
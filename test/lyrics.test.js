@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+
+import { toLrc, parseJson3 } from '../lyrics.js';
+
+test('toLrc writes the header and mm:ss.xx timestamps', () => {
+  const lines = [
+    { time: 0, text: 'First' },
+    { time: 12.345, text: 'Second' },
+    { time: 59.999, text: 'Third' },
+    { time: 119.996, text: 'Fourth' },
+    { time: 754.5, text: 'Last' }
+  ];
+  assert.equal(toLrc(lines, { title: 'Song', artist: 'Artist' }), [
+    '[ti:Song]',
+    '[ar:Artist]',
+    '[00:00.00]First',
+    '[00:12.35]Second',
+    '[01:00.00]Third',
+    '[02:00.00]Fourth',
+    '[12:34.50]Last'
+  ].join('\n') + '\n');
+});
+
+test('parseJson3 drops annotations and repeated lines', () => {
+  const json = {
+    events: [
+      { tStartMs: 0, segs: [{ utf8: '[Music]' }] },
+      { tStartMs: 1500, segs: [{ utf8: '♪ Hello ' }, { utf8: 'world ♪' }] },
+      { tStartMs: 2500, segs: [{ utf8: 'Hello world' }] },
+      { tStartMs: 4000 },
+      { tStartMs: 5250, segs: [{ utf8: 'Goodbye\n' }] }
+    ]
+  };
+  assert.deepEqual(parseJson3(json), [{ time: 1.5, text: 'Hello world' }, { time: 5.25, text: 'Goodbye' }]);
+});
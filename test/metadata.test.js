@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+
+import { resolveMissingMetadata, missingFields } from '../metadata.js';
+import { EXIT_CODES, MissingMetadataError, exitCodeOf } from '../errors.js';
+
+const PARTIAL = { title: 'Song', artist: 'Artist', date: '2020' };
+
+test('missingFields lists the required fields which are not set', () => {
+  assert.deepEqual(missingFields(PARTIAL), ['album', 'genre']);
+});
+
+test('the fail policy throws a MissingMetadataError with its own exit code', () => {
+  assert.throws(() => resolveMissingMetadata(Object.assign({}, PARTIAL), 'fail'), (err) => {
+    assert.ok(err instanceof MissingMetadataError);
+    assert.equal(err.message, 'Missing required metadata: album, genre.');
+    assert.equal(exitCodeOf(err), EXIT_CODES.MISSING_METADATA);
+    return true;
+  });
+});
+
+test('the skip and defaults policies complete the metadata', () => {
+  assert.deepEqual(resolveMissingMetadata(Object.assign({}, PARTIAL), 'skip'), PARTIAL);
+  assert.deepEqual(resolveMissingMetadata(Object.assign({}, PARTIAL), 'defaults'),
+    Object.assign({ album: 'Single', genre: 'Unknown' }, PARTIAL));
+  assert.deepEqual(resolveMissingMetadata(Object.assign({}, PARTIAL), 'defaults', { album: 'Mixtape' }),
+    Object.assign({ album: 'Mixtape' }, PARTIAL));
+});
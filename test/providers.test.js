@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+
+import { ItunesProvider } from '../providers/itunes.js';
+import { MusicBrainzProvider } from '../providers/musicbrainz.js';
+import { DiscogsProvider } from '../providers/discogs.js';
+import { lookup, mergeCandidates, DEFAULT_MATCH_THRESHOLD } from '../providers/index.js';
+import { normalize, similarity, containment, scoreCandidate } from '../providers/scoring.js';
+
+const log = { debug: () => {} };
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(new URL('fixtures/' + name + '.json', import.meta.url), 'utf8'));
+}
+
+/* getJson replacement answering every request with a fixture, recording the requested urls and headers */
+function recorder(body, statusCode) {
+  const requests = [];
+  const getJson = async (url, headers) => {
+    requests.push({ url: url, headers: headers });
+    return { statusCode: statusCode || 200, body: body };
+  };
+  return { requests: requests, getJson: getJson };
+}
+
+const QUERY = { searchTerm: 'Daft Punk - Get Lucky', title: 'Get Lucky', artist: 'Daft Punk', duration: 248 };
+
+test('ItunesProvider returns the songs of the search results', async () => {
+  const api = recorder(fixture('itunes'));
+  const candidates = await new ItunesProvider({ log: log, getJson: api.getJson, baseUrl: 'http://itunes.test/search?term=' }).search(QUERY);
+
+  assert.equal(api.requests[0].url, 'http://itunes.test/search?term=Daft%20Punk%20-%20Get%20Lucky');
+  assert.equal(candidates.length, 2);
+  assert.deepEqual(candidates[0], {
+    provider: 'itunes',
+    title: 'Get Lucky (feat. Pharrell Williams & Nile Rodgers)',
+    artist: 'Daft Punk',
+    album: 'Random Access Memories',
+    albumUrl: 'https://is1-ssl.mzstatic.com/image/thumb/Music/v4/ram/100x100bb.jpg',
+    trackNum: 8,
+    trackCount: 13,
+    genre: 'Dance',
+    date: '2013',
+    duration: 369.629
+  });
+});
+
+test('ItunesProvider returns nothing when the API fails', async () => {
+  const api = recorder(null, 503);
+  assert.deepEqual(await new ItunesProvider({ log: log, getJson: api.getJson }).search(QUERY), []);
+});
+
+test('MusicBrainzProvider uses a field query and the earliest release', async () => {
+  const api = recorder(fixture('musicbrainz'));
+  const candidates = await new MusicBrainzProvider({ log: log, getJson: api.getJson, baseUrl: 'http://musicbrainz.test/' }).search(QUERY);
+
+  assert.equal(api.requests[0].url, 'http://musicbrainz.test/recording/?fmt=json&limit=10&query=' +
+    encodeURIComponent('recording:"Get Lucky" AND artist:"Daft Punk"'));
+  assert.deepEqual(candidates[0], {
+    provider: 'musicbrainz',
+    title: 'Get Lucky',
+    artist: 'Daft Punk feat. Pharrell Williams',
+    album: 'Get Lucky',
+    albumUrl: 'https://coverartarchive.org/release/b7a0c5d2-9a0e-4c8f-8f0e-2d7f3c1b6e22/front-500',
+    trackNum: 1,
+    trackCount: 1,
+    genre: 'Electronic',
+    date: '2013',
+    duration: 248
+  });
+  assert.equal(candidates[1].album, undefined);
+  assert.equal(candidates[1].date, '');
+});
+
+test('MusicBrainzProvider escapes free text queries', async () => {
+  const api = recorder({ recordings: [] });
+  await new MusicBrainzProvider({ log: log, getJson: api.getJson, baseUrl: 'http://musicbrainz.test/' })
+    .search({ searchTerm: 'AC/DC - T.N.T. (Live!)' });
+  assert.equal(decodeURIComponent(api.requests[0].url.split('query=')[1]), 'AC\\/DC \\- T.N.T. \\(Live\\!\\)');
+});
+
+test('DiscogsProvider splits release titles and sends the token', async () => {
+  const api = recorder(fixture('discogs'));
+  const candidates = await new DiscogsProvider({ log: log, getJson: api.getJson, baseUrl: 'http://discogs.test/', discogsToken: 'secret' })
+    .search(QUERY);
+
+  assert.equal(api.requests[0].url, 'http://discogs.test/database/search?type=release&per_page=10&artist=Daft%20Punk&track=Get%20Lucky');
+  assert.deepEqual(api.requests[0].headers, { 'Authorization': 'Discogs token=secret' });
+  assert.deepEqual(candidates, [{
+    provider: 'discogs',
+    title: 'Get Lucky',
+    artist: 'Daft Punk',
+    album: 'Random Access Memories',
+    albumUrl: 'https://i.discogs.com/ram-cover.jpg',
+    genre: 'Disco',
+    date: '2013'
+  }, {
+    provider: 'discogs',
+    title: 'Get Lucky',
+    artist: 'Daft Punk',
+    album: 'Get Lucky',
+    albumUrl: 'https://i.discogs.com/single-cover.jpg',
+    genre: 'Electronic',
+    date: '2013'
+  }]);
+});
+
+test('DiscogsProvider is skipped without a token', async () => {
+  const api = recorder(fixture('discogs'));
+  assert.deepEqual(await new DiscogsProvider({ log: log, getJson: api.getJson }).search(QUERY), []);
+  assert.equal(api.requests.length, 0);
+});
+
+test('normalize folds accents, case, featured artists and punctuation', () => {
+  assert.equal(normalize('Beyoncé (feat. JAY-Z)'), 'beyonce');
+  assert.equal(normalize('Simon & Garfunkel'), 'simon and garfunkel');
+  assert.equal(normalize('  Don\'t Stop Me Now!  '), 'don t stop me now');
+  assert.equal(normalize(null), '');
+});
+
+test('similarity compares character bigrams', () => {
+  assert.equal(similarity('Get Lucky', 'get lucky!'), 1);
+  assert.equal(similarity('', ''), 0);
+  assert.equal(similarity('abc', 'xyz'), 0);
+  const close = similarity('Get Lucky', 'Get Lucky Radio Edit');
+  assert.ok(close > 0.5 && close < 1);
+});
+
+test('containment counts the words found in the search term', () => {
+  assert.equal(containment('Get Lucky', 'Daft Punk - Get Lucky (Official Audio)'), 1);
+  assert.equal(containment('Get Happy', 'Daft Punk - Get Lucky'), 0.5);
+  assert.equal(containment('', 'Daft Punk'), 0);
+});
+
+test('scoreCandidate weighs the title, the artist and the duration', () => {
+  const exact = { title: 'Get Lucky', artist: 'Daft Punk', duration: 250 };
+  assert.equal(scoreCandidate(exact, QUERY), 1);
+  /* The duration only counts when both sides know it */
+  assert.equal(scoreCandidate({ title: 'Get Lucky', artist: 'Daft Punk' }, QUERY), 1);
+  assert.ok(Math.abs(scoreCandidate({ title: 'Get Lucky', artist: 'Daft Punk', duration: 369.6 }, QUERY) - 0.8) < 1e-9);
+  /* Without a parsed title the candidate is looked for in the search term */
+  assert.equal(scoreCandidate(exact, { searchTerm: 'Daft Punk - Get Lucky (Official Audio)' }), 1);
+  assert.ok(scoreCandidate({ title: 'Lucky', artist: 'Britney Spears', duration: 206 }, QUERY) < DEFAULT_MATCH_THRESHOLD);
+});
+
+test('mergeCandidates fills the missing fields from other candidates of the same song', () => {
+  const chosen = { provider: 'musicbrainz', title: 'Get Lucky', artist: 'Daft Punk', album: 'Get Lucky', date: '2013' };
+  const sameSong = { provider: 'itunes', title: 'get lucky', artist: 'Daft Punk', album: 'Random Access Memories', genre: 'Dance',
+    trackNum: 1, trackCount: 1 };
+  const otherSong = { provider: 'itunes', title: 'Lose Yourself to Dance', artist: 'Daft Punk', albumUrl: 'http://cover' };
+  const merged = mergeCandidates([chosen, sameSong, otherSong], chosen);
+
+  assert.deepEqual(merged, Object.assign({}, chosen, { genre: 'Dance', trackNum: 1, trackCount: 1 }));
+  assert.notEqual(merged, chosen);
+  assert.equal(chosen.genre, undefined);
+});
+
+test('lookup ranks the candidates of every provider and drops the ones below the threshold', async () => {
+  /* Discogs candidates have no track number, so MusicBrainz is queried too */
+  const providers = [
+    new DiscogsProvider({ log: log, getJson: recorder(fixture('discogs')).getJson, discogsToken: 'secret' }),
+    new MusicBrainzProvider({ log: log, getJson: recorder(fixture('musicbrainz')).getJson })
+  ];
+  const candidates = await lookup(providers, QUERY, DEFAULT_MATCH_THRESHOLD, log);
+
+  assert.deepEqual(candidates.map((candidate) => candidate.provider + ' ' + candidate.artist + ' - ' + candidate.album), [
+    'discogs Daft Punk - Random Access Memories',
+    'discogs Daft Punk - Get Lucky',
+    'musicbrainz Daft Punk feat. Pharrell Williams - Get Lucky'
+  ]);
+  assert.ok(candidates.every((candidate, i) => i === 0 || candidate.confidence <= candidates[i - 1].confidence));
+  assert.ok(candidates.every((candidate) => candidate.confidence >= DEFAULT_MATCH_THRESHOLD));
+});
+
+test('lookup stops at the first confident and complete match and survives failing providers', async () => {
+  const failing = { name: 'failing', search: async () => { throw new Error('boom'); } };
+  const complete = recorder({ results: [{ kind: 'song', trackName: 'Get Lucky', artistName: 'Daft Punk',
+    collectionName: 'Random Access Memories', artworkUrl100: 'http://cover', trackNumber: 8, trackCount: 13, primaryGenreName: 'Dance',
+    releaseDate: '2013-05-17', trackTimeMillis: 248000 }] });
+  const skipped = recorder(fixture('musicbrainz'));
+  const providers = [
+    failing,
+    new ItunesProvider({ log: log, getJson: complete.getJson }),
+    new MusicBrainzProvider({ log: log, getJson: skipped.getJson })
+  ];
+  const candidates = await lookup(providers, QUERY, DEFAULT_MATCH_THRESHOLD, log);
+
+  assert.equal(candidates.length, 1);
+  assert.equal(candidates[0].confidence, 1);
+  assert.equal(skipped.requests.length, 0);
+});
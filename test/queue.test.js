@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+
+import { JobQueue } from '../queue.js';
+
+/* A task which runs until its finish function is called */
+function controlledTask(log, name) {
+  let finish;
+  const done = new Promise((resolve) => { finish = resolve; });
+  return {
+    finish: () => finish(),
+    task: async () => {
+      log.push('start ' + name);
+      await done;
+      log.push('end ' + name);
+      return name;
+    }
+  };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('JobQueue runs at most concurrency tasks at the same time, in order', async () => {
+  const queue = new JobQueue(2);
+  const log = [];
+  const tasks = ['a', 'b', 'c'].map((name) => controlledTask(log, name));
+  const results = tasks.map((t) => queue.add(t.task));
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b']);
+
+  tasks[1].finish();
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b', 'end b', 'start c']);
+
+  tasks[0].finish();
+  tasks[2].finish();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+});
+
+test('JobQueue lets other tasks run while a task is suspended and resumes it first', async () => {
+  const queue = new JobQueue(1);
+  const log = [];
+  let confirm;
+  const confirmed = new Promise((resolve) => { confirm = resolve; });
+  const waiting = queue.add(async () => {
+    log.push('start a');
+    const value = await queue.suspend(confirmed);
+    log.push('resume a with ' + value);
+    return 'a';
+  });
+  const b = controlledTask(log, 'b');
+  const c = controlledTask(log, 'c');
+  const results = [waiting, queue.add(b.task), queue.add(c.task)];
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b']);
+
+  /* The slot is taken by b, a resumes as soon as b is done, before c */
+  confirm('x');
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b']);
+  b.finish();
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b', 'end b', 'resume a with x', 'start c']);
+
+  c.finish();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+  assert.equal(queue.running, 0);
+});
@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { Server } from '../server.js';
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+const METADATA = {
+  title: 'Never Gonna Give You Up',
+  artist: 'Rick Astley',
+  album: 'Whenever You Need Somebody',
+  genre: 'Pop',
+  date: '1987'
+};
+const silentLog = { debug: () => {}, info: () => {}, warning: () => {}, error: () => {} };
+
+let server;
+let baseUrl;
+let dataDir;
+
+/* Stands in for the youtube pipeline: asks for the metadata confirmation when required, then writes the file of the job */
+async function fakeDownload(url, options) {
+  let metadata = METADATA;
+  if (options.resolveMetadata) {
+    metadata = await options.resolveMetadata({
+      metadata: METADATA,
+      candidates: [Object.assign({}, METADATA, { album: 'Greatest Hits' })],
+      withCandidate: (candidate) => Object.assign({}, METADATA, candidate ? { album: candidate.album } : {})
+    });
+  }
+  options.onEvent({ event: 'metadata', url: url, metadata: metadata });
+  const fileName = options.outputTemplate.replace('{artist}/{title}.{ext}', metadata.artist + ' - ' + metadata.album + '.mp3');
+  fs.mkdirSync(path.dirname(fileName), { recursive: true });
+  fs.writeFileSync(fileName, JSON.stringify(metadata));
+  return { filename: fileName };
+}
+
+async function request(method, pathName, body) {
+  const response = await fetch(baseUrl + pathName, { method: method, body: body === undefined ? undefined : JSON.stringify(body) });
+  const text = await response.text();
+  return { status: response.status, body: response.headers.get('content-type') === 'application/json' ? JSON.parse(text) : text };
+}
+
+/* Poll a job until it reaches the status */
+async function waitForStatus(id, status) {
+  for (let i = 0; i < 200; i++) {
+    const job = (await request('GET', '/jobs/' + id)).body;
+    if (job.status === status) return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Job ' + id + ' never reached the ' + status + ' status');
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-mp3-test-'));
+  server = new Server({ port: 0, dataDir: dataDir, jobs: 1, logger: silentLog, outputTemplate: '{artist}/{title}.{ext}' });
+  server.downloader.download = fakeDownload;
+  await server.listen();
+  baseUrl = 'http://127.0.0.1:' + server.port;
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the server listens on the free port it picked', () => {
+  assert.ok(server.port > 0);
+});
+
+test('GET /jobs lists no job at first', async () => {
+  assert.deepEqual(await request('GET', '/jobs'), { status: 200, body: { jobs: [] } });
+});
+
+test('invalid submissions and unknown routes are answered with JSON errors', async () => {
+  const noUrl = await request('POST', '/jobs', {});
+  assert.equal(noUrl.status, 400);
+  assert.match(noUrl.body.error.message, /url of the video/);
+
+  const forbidden = await request('POST', '/jobs', { url: VIDEO_URL, options: { downloadArchive: '/etc/passwd' } });
+  assert.equal(forbidden.status, 400);
+  assert.match(forbidden.body.error.message, /forbidden job option downloadArchive/);
+
+  const escaping = await request('POST', '/jobs', { url: VIDEO_URL, options: { outputTemplate: '../{title}.{ext}' } });
+  assert.equal(escaping.status, 400);
+
+  const invalidJson = await fetch(baseUrl + '/jobs', { method: 'POST', body: '{' });
+  assert.equal(invalidJson.status, 400);
+
+  assert.equal((await request('GET', '/jobs/unknown')).status, 404);
+  assert.equal((await request('DELETE', '/jobs')).status, 404);
+});
+
+test('a job waiting for its metadata confirmation does not hold the only slot', async () => {
+  const confirming = (await request('POST', '/jobs', { url: VIDEO_URL, confirmMetadata: true })).body.jobs[0];
+  const waiting = await waitForStatus(confirming.id, 'confirming');
+  assert.deepEqual(waiting.confirmation.metadata, METADATA);
+  assert.equal(waiting.confirmation.candidates.length, 1);
+
+  /* The second job runs while the first one is confirming */
+  const other = (await request('POST', '/jobs', { url: VIDEO_URL })).body.jobs[0];
+  const completed = await waitForStatus(other.id, 'completed');
+  assert.deepEqual(completed.files, ['Rick Astley - Whenever You Need Somebody.mp3']);
+  assert.equal((await request('GET', '/jobs/' + confirming.id)).body.status, 'confirming');
+
+  const unknownCandidate = await request('POST', '/jobs/' + confirming.id + '/metadata', { candidate: 3 });
+  assert.equal(unknownCandidate.status, 400);
+
+  const confirmed = await request('POST', '/jobs/' + confirming.id + '/metadata', { candidate: 0, metadata: { genre: 'Dance' } });
+  assert.equal(confirmed.status, 200);
+  const done = await waitForStatus(confirming.id, 'completed');
+  assert.deepEqual(done.metadata, Object.assign({}, METADATA, { album: 'Greatest Hits', genre: 'Dance' }));
+  assert.deepEqual(done.files, ['Rick Astley - Greatest Hits.mp3']);
+
+  const file = await request('GET', '/jobs/' + confirming.id + '/file');
+  assert.equal(file.status, 200);
+  assert.deepEqual(JSON.parse(file.body), done.metadata);
+
+  const again = await request('POST', '/jobs/' + confirming.id + '/metadata', {});
+  assert.equal(again.status, 409);
+});
+
+test('the files of unfinished jobs are not served', async () => {
+  const job = (await request('POST', '/jobs', { url: VIDEO_URL, confirmMetadata: true })).body.jobs[0];
+  await waitForStatus(job.id, 'confirming');
+  assert.equal((await request('GET', '/jobs/' + job.id + '/file')).status, 409);
+  await request('POST', '/jobs/' + job.id + '/metadata', {});
+  await waitForStatus(job.id, 'completed');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+
+import { parseTitle, channelArtist } from '../title.js';
+
+const SEPARATORS = ['-', '—'];
+
+/* [video title, options, expected artist, expected title, expected featured artists] */
+const FIXTURES = [
+  /* Noise */
+  ['Artist - Song (Official Video)', {}, 'Artist', 'Song', []],
+  ['Artist - Song (Official Music Video) [HD]', {}, 'Artist', 'Song', []],
+  ['Artist - Song [Official Lyric Video]', {}, 'Artist', 'Song', []],
+  ['Artist - Song (Lyrics)', {}, 'Artist', 'Song', []],
+  ['Artist - Song 【MV】', {}, 'Artist', 'Song', []],
+  ['Artist - Song Official Music Video', {}, 'Artist', 'Song', []],
+  ['Artist - Song (Acoustic Version) 4K', {}, 'Artist', 'Song (Acoustic Version)', []],
+  ['Artist - Song (Remix) (Audio)', {}, 'Artist', 'Song (Remix)', []],
+  ['Artist - Song (Live at HQ Studios)', {}, 'Artist', 'Song (Live at HQ Studios)', []],
+  ['Artist - Song (Official Video Premiere)', {}, 'Artist', 'Song (Official Video Premiere)', []],
+  ['Artist - "Song" (Official Visualizer)', {}, 'Artist', 'Song', []],
+  ['Artist - Song (Radio Edit)', { stripPatterns: ['\\s*\\(radio edit\\)'] }, 'Artist', 'Song', []],
+  /* Featured artists */
+  ['Daft Punk - Get Lucky (Official Audio) ft. Pharrell Williams, Nile Rodgers', {}, 'Daft Punk feat. Pharrell Williams, Nile Rodgers',
+    'Get Lucky', ['Pharrell Williams', 'Nile Rodgers']],
+  ['Artist feat. Other - Song', {}, 'Artist feat. Other', 'Song', ['Other']],
+  ['Artist - Song (feat. Other & Another) [Official Video]', {}, 'Artist feat. Other, Another', 'Song', ['Other', 'Another']],
+  ['Artist ft. Other - Song featuring Other', {}, 'Artist feat. Other', 'Song', ['Other']],
+  /* Separators */
+  ['Artist — Song', {}, 'Artist', 'Song', []],
+  ['Artist - Song - Remastered', {}, 'Artist', 'Song - Remastered', []],
+  ['Artist | Song', { separators: ['|'] }, 'Artist', 'Song', []],
+  ['Jean-Michel Jarre - Oxygene', {}, 'Jean-Michel Jarre', 'Oxygene', []],
+  /* Channel fallback */
+  ['Song (Official Video)', { channel: 'Artist - Topic' }, 'Artist', 'Song', []],
+  ['Song', { channel: 'ArtistVEVO' }, 'Artist', 'Song', []],
+  ['Artist - Song', { channel: 'Label' }, 'Artist', 'Song', []]
+];
+
+FIXTURES.forEach(([videoTitle, options, artist, title, featuredArtists]) => {
+  test('parseTitle parses ' + videoTitle, () => {
+    const meta = parseTitle(videoTitle, Object.assign({ separators: SEPARATORS }, options));
+    assert.deepEqual(meta, { success: true, artist: artist, title: title, featuredArtists: featuredArtists });
+  });
+});
+
+test('parseTitle fails without a separator or a channel', () => {
+  assert.equal(parseTitle('Just a song (Official Video)', { separators: SEPARATORS }).success, false);
+});
+
+test('channelArtist removes the channel suffixes', () => {
+  assert.equal(channelArtist('Daft Punk - Topic'), 'Daft Punk');
+  assert.equal(channelArtist('DaftPunkVEVO'), 'DaftPunk');
+  assert.equal(channelArtist('Artist Official'), 'Artist');
+  assert.equal(channelArtist(''), null);
+});
@@ -0,0 +1,97 @@
+import escapeStringRegexp from 'escape-string-regexp';
+
+import * as util from './util.js';
+
+/**
+ * Patterns of the noise removed from video titles, matched case insensitively. Users can add their own with the stripPattern option.
+ */
+export const NOISE_PATTERNS = [
+  /* Bracketed annotations made of noise words only: (Official Video), [Official Audio], (Lyric Video), [HD], 【MV】... */
+  '\\s*[\\(\\[【]\\s*((official|music|audio|video|lyrics?|visuali[sz]er|hd|hq|4k|high quality|mv|m/v)\\b[\\s\\-/&|]*)+[\\)\\]】]',
+  /* The same annotations left bare at the end of the title */
+  '\\s+(official\\s+(music\\s+)?(video|audio)|(music|lyrics?)\\s+video|lyrics|visuali[sz]er)$',
+  '\\s+(hd|hq|4k|high quality)$'
+];
+
+/* 'feat. X', 'ft. X' or 'featuring X', optionally in brackets, up to the next bracket or the end */
+const FEATURE_PATTERN = /\s*[\(\[]?\b(?:feat\.?|ft\.?|featuring)\s+([^\(\)\[\]]+?)[\)\]]?(?=\s*[\(\[]|$)/i;
+const FEATURED_SEPARATOR = /\s*(?:,|&)\s*/;
+
+/* Suffixes of the channels of labels and auto-generated artist channels */
+const CHANNEL_SUFFIXES = [/\s*-\s*topic$/i, /\s*vevo$/i, /\s*official$/i];
+
+/**
+ * Check user supplied noise patterns
+ * @param {Array} patterns Regular expressions, as strings
+ * @returns The compiled patterns
+ * @throws {SyntaxError} If a pattern is not a valid regular expression
+ */
+export function compilePatterns(patterns) {
+  return (patterns || []).map((pattern) => new RegExp(pattern, 'ig'));
+}
+
+/**
+ * Parse a video title into the song artist and title, removing the noise and pulling featured artists into the artist
+ * @param {String} videoTitle Title of the video
+ * @param {*} options { separators, stripPatterns, channel }: separators between the artist and the title, additional noise patterns and
+ * the name of the channel, used as the artist when the title has no separator
+ * @returns { success, artist, title, featuredArtists }, success being false if the artist could not be found
+ */
+export function parseTitle(videoTitle, options) {
+  const meta = { success: false, artist: null, title: null, featuredArtists: [] };
+  const patterns = compilePatterns(NOISE_PATTERNS.concat(options.stripPatterns || []));
+  const separators = options.separators.map((e) => escapeStringRegexp(e)).join('|');
+
+  const titleMatch = new RegExp('^(.+?)\\s+(' + separators + ')\\s+(.+)$').exec(cleanTitle(videoTitle, patterns));
+  if (titleMatch) {
+    meta.artist = titleMatch[1];
+    meta.title = titleMatch[3];
+  } else if (channelArtist(options.channel)) {
+    meta.artist = channelArtist(options.channel);
+    meta.title = cleanTitle(videoTitle, patterns);
+  } else {
+    return meta;
+  }
+
+  /* Featured artists are credited on either side of the separator */
+  const artist = extractFeatured(meta.artist);
+  const title = extractFeatured(cleanTitle(meta.title, patterns));
+  meta.featuredArtists = artist.featured.concat(title.featured.filter((name) => !artist.featured.includes(name)));
+  meta.title = unquote(title.text);
+  meta.artist = artist.text + (meta.featuredArtists.length ? ' feat. ' + meta.featuredArtists.join(', ') : '');
+  meta.success = !!(meta.artist && meta.title);
+  return meta;
+}
+
+/**
+ * Artist name of a channel, without the suffixes of auto-generated and label channels
+ * @param {String} channel Name of the channel, e.g. 'Daft Punk - Topic' or 'DaftPunkVEVO'
+ * @returns The artist name, null if there is no channel
+ */
+export function channelArtist(channel) {
+  if (!channel) return null;
+  return CHANNEL_SUFFIXES.reduce((name, suffix) => name.replace(suffix, ''), channel).trim() || null;
+}
+
+/* Remove the noise patterns until none match, annotations can be stacked like 'Song (Lyrics) [HD]' */
+function cleanTitle(title, patterns) {
+  let previous;
+  do {
+    previous = title;
+    title = patterns.reduce((text, pattern) => text.replace(pattern, ''), title).replace(/[\s\-|:]+$/, '').trim();
+  } while (title !== previous);
+  return title;
+}
+
+function extractFeatured(text) {
+  const match = FEATURE_PATTERN.exec(text);
+  if (!match) return { text: text.trim(), featured: [] };
+  return {
+    text: (text.slice(0, match.index) + text.slice(match.index + match[0].length)).replace(/\s+/g, ' ').trim(),
+    featured: match[1].split(FEATURED_SEPARATOR).map((name) => name.trim()).filter((name) => name)
+  };
+}
+
+function unquote(title) {
+  return util.trimString(util.trimString(title, '"'), '\'');
+}
@@ -1,31 +1,59 @@
 #!/usr/bin/env node
-import ytdl from 'ytdl-core';
 import * as fs from 'fs';
-import { Command } from 'commander/esm.mjs';
+import { Command, Option } from 'commander/esm.mjs';
 import ProgressBar from 'progress';
-import ffmpeg from 'fluent-ffmpeg';
-import ffMetadata from 'ffmetadata';
-import ffProbe from 'node-ffprobe';
 import * as path from 'path';
-import fsExtra from 'fs-extra';
-import request from 'sync-request';
 import prompt from 'prompt';
 import { fileURLToPath } from 'url';
 
 import prettyBytes from 'pretty-bytes';
 import chalk from 'chalk';
-import sanitize from 'sanitize-filename';
 
-import * as util from './util.js';
-import { Log } from './logging.js';
+import MultiProgress from 'multi-progress';
 
-const DEFAULT_SEPARATORS = ['-', '—']
-const ITUNES_API_BASE = 'https://itunes.apple.com/search?term=';
-const METADATA_FIELDS = ['title', 'artist', 'album', 'genre', 'date'];
+import * as util from './util.js';
+import * as playlist from './playlist.js';
+import * as metadataUtil from './metadata.js';
+import * as formats from './formats.js';
+import * as providers from './providers/index.js';
+import * as output from './output.js';
+import * as postprocess from './postprocess.js';
+import * as lyrics from './lyrics.js';
+import * as errors from './errors.js';
+import { Downloader, DEFAULT_OPTIONS, findAudioFiles, findMediaFiles } from './index.js';
+import { Log, LOG_LEVELS, describeError } from './logging.js';
+import { JobQueue } from './queue.js';
+import { DownloadArchive } from './archive.js';
+import * as config from './config.js';
+import { Server, DEFAULT_PORT, DEFAULT_HOST, DEFAULT_DATA_DIR } from './server.js';
+import { SyncManifest, DROPPED_POLICIES } from './sync.js';
+
+const DEFAULT_JOBS = 2;
+/* Shown when several videos or files are processed */
+const COMMAND_PROGRESSIVES = { download: 'Downloading', convert: 'Converting', tag: 'Tagging' };
+const MAX_PROMPTED_CANDIDATES = 5;
+/* Columns of --list-formats: header and cell of a format described by streams.describeFormat */
+const FORMAT_COLUMNS = [
+  ['itag', (format) => String(format.itag)],
+  ['container', (format) => format.container || '-'],
+  ['codec', (format) => format.codec || '-'],
+  ['bitrate', (format) => format.bitrate ? format.bitrate + 'kbps' : '-'],
+  ['sample rate', (format) => format.sampleRate ? format.sampleRate + 'Hz' : '-'],
+  ['size', (format) => format.size ? prettyBytes(format.size) : '-'],
+  ['audio only', (format) => format.audioOnly ? 'yes' : 'no']
+];
 
 const META_PROGRESS_BAR_FORMAT = chalk.yellow('Downloading metadata\t') + '[:bar] :percent in :elapseds :msg';
 const DL_PROGRESS_BAR_FORMAT = chalk.yellow('Downloading video\t') + '[:bar] :percent @ :dlSpeed (:amount) remaining: :etas';
-const CONVERT_PROGRESS_BAR_FORMAT = chalk.yellow('Converting to mp3\t') + '[:bar] :percent @ :speed in :elapseds remaining: :etas';
+const CONVERT_PROGRESS_BAR_FORMAT = chalk.yellow('Converting audio\t') + '[:bar] :percent @ :speed remaining: :etas';
+const POSTPROCESS_PROGRESS_BAR_FORMAT = chalk.yellow('Post-processing\t\t') + '[:bar] :percent in :elapseds remaining: :etas';
+/* Progress bar drawn for the progress events of each pipeline stage */
+const PROGRESS_BAR_FORMATS = {
+  metadata: META_PROGRESS_BAR_FORMAT,
+  download: DL_PROGRESS_BAR_FORMAT,
+  convert: CONVERT_PROGRESS_BAR_FORMAT,
+  postprocess: POSTPROCESS_PROGRESS_BAR_FORMAT
+};
 const PROGRESS_BAR_OPTIONS = {
     width: 50,
     complete: '=',
@@ -33,313 +61,640 @@ const PROGRESS_BAR_OPTIONS = {
     renderThrottle: 200
 };
 
+/* Chains prompts of parallel pipelines so only one of them asks the user at a time */
+let promptLock = Promise.resolve();
+
 
 const program = new Command();
 program
     .version(getVersion())
-    .usage('[options] <youtube_url>')
+    .usage('[options] <youtube_url...>')
     .description('A simple command line tool to download a youtube video and convert it to an mp3 (v' + getVersion() +')')
-    .option('-o, --output <output_file>', 'output the final mp3 to this file name')
+    .option('-o, --output <output_file>', 'output the final audio file to this file name')
+    .option('-t, --output-template <template>', 'output files to this path template, e.g. \'{artist}/{album}/{trackNum:02} - {title}.{ext}\'')
+    .addOption(new Option('--on-conflict <policy>', 'what to do when an output file already exists')
+      .choices(output.CONFLICT_POLICIES)
+      .default('overwrite'))
     .option('--video', 'download the video file and exit')
     .option('-l, --low-quality', 'download the video at low quality settings', false)
+    .option('--format-select <selector>', 'choose the youtube format to download, e.g. \'audioonly,codec=opus,bitrate>=128/audioonly\'')
+    .option('--list-formats', 'print the formats of the videos which contain audio instead of downloading them', false)
     .option('-v, --verbose', 'print additional information during run, useful for debugging', false)
-    .option('-s, --separator <separator...>', 'set the seperator for artist/song in video title', DEFAULT_SEPARATORS)
-    .option('-b, --bitrate <rate>', 'set the output mp3 bitrate in kbps (default is highest available bitrate)')
-    .parse(process.argv)
+    .option('-s, --separator <separator...>', 'set the seperator for artist/song in video title', DEFAULT_OPTIONS.separator)
+    .option('--strip-pattern <regex...>', 'also remove the text matching these regular expressions from video titles', DEFAULT_OPTIONS.stripPattern)
+    .option('-b, --bitrate <rate>', 'set the output bitrate in kbps for lossy formats (default is highest available bitrate)')
+    .addOption(new Option('-f, --format <format>', 'set the output audio format')
+      .choices(Object.keys(formats.AUDIO_FORMATS))
+      .default(formats.DEFAULT_AUDIO_FORMAT))
+    .option('--no-artwork', 'do not embed the album artwork or video thumbnail as the cover')
+    .option('--square-artwork', 'crop the cover to a centered square', false)
+    .addOption(new Option('--lyrics [mode]', 'embed the video captions as lyrics, also as synchronized lyrics or a .lrc file')
+      .choices(lyrics.LYRICS_MODES))
+    .option('--lyrics-language <language...>', 'languages of the captions used as lyrics, in order of preference', DEFAULT_OPTIONS.lyricsLanguage)
+    .option('--auto-captions', 'also use captions generated by youtube\'s speech recognition as lyrics', false)
+    .addOption(new Option('--normalize [mode]', 'normalize the loudness with a two-pass EBU R128 loudnorm, or only write ReplayGain tags')
+      .choices(postprocess.NORMALIZE_MODES))
+    .option('--trim-silence', 'remove the leading and trailing silence', false)
+    .option('--start <time>', 'only keep the audio after this time (seconds or [hh:]mm:ss)')
+    .option('--end <time>', 'only keep the audio before this time (seconds or [hh:]mm:ss)')
+    .option('--fade-in <seconds>', 'fade the audio in over this many seconds', parseFloat)
+    .option('--fade-out <seconds>', 'fade the audio out over this many seconds', parseFloat)
+    .option('--split-chapters', 'split the video into one file per chapter, using the youtube chapters or the timestamps of the description', false)
+    .option('--tracklist <file>', 'split the video into the tracks listed in this cue sheet or timestamp list, implies --split-chapters')
+    .option('--retries <count>', 'number of retries of a failed network request, with an exponential backoff', (v) => parseInt(v, 10), DEFAULT_OPTIONS.retries)
+    .option('--stall-timeout <seconds>', 'retry a download which received no data for this many seconds', parseFloat, DEFAULT_OPTIONS.stallTimeout)
+    .option('--download-archive <file>', 'skip the videos recorded in this archive file, and record the downloaded ones')
+    .option('--force', 'download videos even if they are recorded in the download archive', false)
+    .option('-a, --batch-file <file>', 'read additional urls from this file, one per line')
+    .option('-j, --jobs <count>', 'number of videos to download and convert in parallel', (v) => parseInt(v, 10), DEFAULT_JOBS)
+    .option('--json', 'print newline-delimited JSON events instead of the banner, progress bars and messages, implies --no-prompt', false)
+    .option('--log-file <file>', 'append log messages and events to this file')
+    .addOption(new Option('--log-level <level>', 'minimum level of the messages written to the log file')
+      .choices(LOG_LEVELS)
+      .default('info'))
+    .option('-y, --yes', 'accept the discovered song metadata, only prompt for fields which could not be found', false)
+    .option('--no-prompt', 'never prompt for song metadata, missing fields are handled by --missing-metadata')
+    .addOption(new Option('--missing-metadata <policy>', 'what to do when required metadata is missing and prompting is disabled')
+      .choices(Object.keys(metadataUtil.MISSING_METADATA_POLICIES))
+      .default('fail'))
+    .option('--title <title>', 'set the song title instead of discovering it')
+    .option('--artist <artist>', 'set the song artist instead of discovering it')
+    .option('--album <album>', 'set the song album instead of discovering it')
+    .option('--genre <genre>', 'set the song genre instead of discovering it')
+    .option('--year <year>', 'set the song year instead of discovering it')
+    .option('-p, --providers <provider...>', 'metadata providers to query, in order (' + Object.keys(providers.PROVIDERS).join(', ') + ')', providers.DEFAULT_PROVIDERS)
+    .option('--match-threshold <score>', 'minimum score between 0 and 1 of a metadata provider match', parseFloat, providers.DEFAULT_MATCH_THRESHOLD)
+    .option('--discogs-token <token>', 'personal access token used by the discogs provider (defaults to $DISCOGS_TOKEN)')
+    .option('--metadata-json <file>', 'read song metadata from a JSON file, either a single object or an object keyed by video id')
+    .option('--config <file>', 'read the default options from this JSON file instead of ~/.config/youtube-mp3/config.json and ' + config.RC_FILE_NAME)
+    .option('--profile <name>', 'apply the options of this profile of the config file')
+    .arguments('[youtube_url...]')
+    .action((urls, options) => main(urls, options));
+
+const archiveCommand = program
+    .command('archive')
+    .description('manage a download archive file');
+archiveCommand
+    .command('list <archive_file>')
+    .description('list the videos recorded in the archive')
+    .action((archiveFile) => listArchive(archiveFile));
+archiveCommand
+    .command('prune <archive_file>')
+    .description('remove the entries whose file no longer exists, so their videos are downloaded again')
+    .option('-n, --dry-run', 'only print the entries which would be removed', false)
+    .action((archiveFile, archiveOptions) => pruneArchive(archiveFile, archiveOptions.dryRun));
 
-const options = program.opts();
-const log = new Log(options.verbose);
+program
+    .command('tag <files...>')
+    .description('look the metadata of existing audio files up again and rewrite their tags, directories are searched recursively')
+    .option('--rename', 'also rename the files with the output template, relative to their directory', false)
+    .option('-n, --dry-run', 'only print the metadata which would be written', false)
+    .action((files, tagOptions) => tagFiles(files, Object.assign({}, program.opts(), tagOptions)));
+program
+    .command('convert <files...>')
+    .description('convert local video or audio files and tag them like downloaded videos')
+    .action((files) => convertFiles(files, program.opts()));
+program
+    .command('sync <playlist_url> <dir>')
+    .description('download the new videos of a playlist to a directory and write its .m3u8 playlist, never prompts')
+    .addOption(new Option('--dropped <policy>', 'what to do with the files of the videos removed from the playlist')
+      .choices(DROPPED_POLICIES)
+      .default('keep'))
+    .action((url, dir, syncOptions) => syncPlaylist(url, dir, Object.assign({}, program.opts(), syncOptions)));
+program
+    .command('serve')
+    .description('run an HTTP server downloading the videos submitted to its REST API, the other options apply to every job')
+    .option('--port <port>', 'port to listen on', (v) => parseInt(v, 10), DEFAULT_PORT)
+    .option('--host <host>', 'address to listen on', DEFAULT_HOST)
+    .option('--data-dir <dir>', 'directory storing the jobs and their files', DEFAULT_DATA_DIR)
+    .action((serveOptions) => serve(Object.assign({}, program.opts(), serveOptions)));
+
+let log = new Log(false);
+
+/* Leave through process.exit on Ctrl-C, so that temporary files are removed */
+process.on('SIGINT', () => process.exit(130));
+
+/* Config files only change the defaults, so that options given on the command line still override them */
+try {
+  const configFile = config.argValue(process.argv, '--config');
+  applyConfig(config.loadConfig(configFile ? [configFile] : config.configFiles(process.cwd()), config.argValue(process.argv, '--profile')));
+} catch (err) {
+  log.fatal(err);
+}
 
-main(program.args[0], options);
+program.parse(process.argv);
 
 /**
  * Execute the program on the provided args
- * @param {String} youtubeUrl Url of the youtube Video to download
+ * @param {Array} urls Urls of the youtube videos, playlists or channels to download
  * @param {*} options Options passed on the command line
  */
-async function main(youtubeUrl, options) {
+async function main(urls, options) {
+  setup(options);
+
+  if (options.batchFile) {
+    try {
+      urls = urls.concat(playlist.readBatchFile(options.batchFile));
+    } catch (err) {
+      log.fatal(err, 'Unable to read batch file ' + options.batchFile + '.');
+    }
+  }
+
   /* Validate required arguments */
-  if (!youtubeUrl) {
+  if (urls.length === 0) {
     program.outputHelp();
-    process.exit(55);
+    process.exit(errors.EXIT_CODES.USAGE);
   }
 
-  if (options.bitrate && (options.bitrate < 32 || options.bitrate > 320)) log.error('Bitrate must be between 32 and 320 kbps');
+  const downloader = createDownloader(options, 'download');
+  const videos = await playlist.expandUrls(urls, log);
+  if (options.listFormats) {
+    await listFormats(downloader, videos);
+    return;
+  }
+  await runAll('download', videos, options, (video, onEvent) => downloader.download(video.url, { onEvent: onEvent }), printDownload);
+}
 
-  /* Execute program */
-  printHeader();
-  log.debug('Verbose mode enabled');
-  log.debug('Using ' + options.separator.map((e) => '\'' + e + '\'').join(', ') + ' as video title separator(s).');
-  if (options.bitrate) log.debug('Set output mp3 bitrate to ' + options.bitrate + 'kbps.');
+/**
+ * Bring a directory in sync with a playlist: download its new videos, handle the files of the removed ones with the --dropped policy,
+ * renumber the moved ones and write the .m3u8 file. Nothing is prompted so that syncs can be scheduled.
+ * @param {String} url Url of the playlist
+ * @param {String} dir Synced directory
+ * @param {*} options Options passed on the command line, along with the options of the sync command
+ */
+async function syncPlaylist(url, dir, options) {
+  setup(options);
+  options.prompt = false;
+  if (options.output) log.fatal(new errors.UsageError('Cannot use --output with sync, use --output-template instead'));
+  if (options.splitChapters || options.tracklist) log.fatal(new errors.UsageError('Cannot split videos into tracks when syncing a playlist'));
 
-  const startTime = util.nowSeconds();
+  let manifest, remote, changes;
+  try {
+    manifest = new SyncManifest(dir);
+    remote = await playlist.fetchPlaylist(url, log);
+    changes = manifest.diff(remote);
+  } catch (err) {
+    log.fatal(err, 'Unable to sync ' + url + '.');
+  }
 
-  const info = await downloadMetadata(youtubeUrl, options.lowQuality);
-  const video = await downloadVideo(youtubeUrl, info);
-  const videoFile = writeVideoFile(info, video, options.video);
-  if (!options.video) {
-    const mp3File = await convertVideoToMp3(info, videoFile, !options.video, options.bitrate);
+  /* Templates are relative to the synced directory */
+  const downloader = createDownloader(Object.assign({}, options, {
+    outputTemplate: path.join(dir, options.outputTemplate || output.DEFAULT_OUTPUT_TEMPLATE)
+  }), 'download');
+  log.event('sync', { playlist: remote.id, added: changes.added.length, moved: changes.moved.length, dropped: changes.dropped.length });
+  log.info(chalk.bold('Syncing \'' + remote.title + '\' to ' + dir + ': ' + changes.added.length + ' new, ' + changes.moved.length +
+    ' moved and ' + changes.dropped.length + ' removed videos.'));
 
-    /* Save the endTime here because this is the real time it took to download and convert to an MP3 */
-    const endTime = util.nowSeconds();
+  try {
+    changes.dropped.forEach((entry) => {
+      const target = manifest.drop(entry, options.dropped);
+      if (options.dropped !== 'keep') log.info(chalk.yellow(target ? 'Archived ' + entry.file + ' to ' + target : 'Deleted ' + entry.file));
+    });
+    for (const move of changes.moved) {
+      const previousFile = move.entry.file;
+      log.debug('Renumbering ' + previousFile + ' from ' + move.entry.position + ' to ' + move.position);
+      await manifest.move(move.entry, move.position, options.outputTemplate || output.DEFAULT_OUTPUT_TEMPLATE);
+      if (move.entry.file !== previousFile) log.info('Renamed ' + previousFile + ' to ' + move.entry.file);
+    }
+    manifest.save(remote);
+  } catch (err) {
+    log.fatal(err, 'Unable to sync ' + dir + '.');
+  }
 
-    const id3Tags = await writeId3Tags(mp3File, info, options.separator);
-    const finalMetadata = await finalizeMp3(id3Tags, mp3File, options.output);
+  /* The manifest is saved after every download, so that an interrupted sync resumes where it stopped */
+  await runAll('download', changes.added, options, async (video, onEvent) => {
+    const result = await downloader.download(video.url, { onEvent: onEvent, trackNum: video.position });
+    await manifest.add(video, result);
+    manifest.save(remote);
+    return result;
+  }, printDownload);
+  log.info(chalk.bold('Playlist written to ' + path.join(dir, manifest.m3uFile)));
+}
 
-    log.info('\n' + chalk.bold(chalk.green('Conversion Completed!')));
-    log.info(chalk.green('Runtime:\t' + util.prettyTime(endTime - startTime)));
-    log.info(chalk.green('File:\t\t' + finalMetadata.filename));
-    log.info(chalk.green('Size:\t\t' + prettyBytes(finalMetadata.format.size)));
-    log.info(chalk.green('Length:\t\t' + util.prettyTime(finalMetadata.format.duration)));
-    log.info(chalk.green('Bit Rate:\t' + prettyBytes(finalMetadata.format.bit_rate) + 'ps'));
+/**
+ * Print the formats of every video instead of downloading them, then exit with the exit code of the last failure
+ * @param {Downloader} downloader Downloader created with the command line options, which select the format
+ * @param {Array} videos Videos as returned by playlist.expandUrls
+ */
+async function listFormats(downloader, videos) {
+  let failure = null;
+  for (const video of videos) {
+    try {
+      const listing = await downloader.listFormats(video.url);
+      log.event('formats', Object.assign({ url: video.url }, listing));
+      printFormats(listing);
+    } catch (err) {
+      failure = err;
+      log.error(err, 'Unable to list the formats of ' + video.url + '.');
+    }
   }
+  if (failure) process.exit(errors.exitCodeOf(failure));
 }
 
 /**
- * Load metadata from youtube for the given url and select the best fitting quality setting
- * @param {String} url URL to the youtube video to gather metadata for
- * @param {Boolean} isLowQualityPreferred Whether user prefers lowest quality audio, default is false
- * @returns Video metadata used to download the video
+ * Retag existing audio files
+ * @param {Array} files Paths of the files and directories to tag
+ * @param {*} options Options passed on the command line, along with the options of the tag command
  */
-async function downloadMetadata(url, isLowQualityPreferred) {
-  log.debug('Connecting to youtube...');
+async function tagFiles(files, options) {
+  setup(options);
+  const items = localItems(files, findAudioFiles);
+  const downloader = createDownloader(options, 'tag');
+  const tagOptions = { rename: options.rename, dryRun: options.dryRun };
+  await runAll('tag', items, options, async (item, onEvent) => {
+    const result = await downloader.tag(item.file, Object.assign({ onEvent: onEvent }, tagOptions));
+    if (options.dryRun) printTags(item.file, result.tags);
+    return result;
+  }, (result) => {
+    if (options.dryRun) return;
+    log.info('\n' + chalk.bold(chalk.green('Tagging Completed!')));
+    log.info(chalk.green('File:\t\t' + result.filename));
+  });
+}
 
-  const downloadProgress = new ProgressBar(
-    META_PROGRESS_BAR_FORMAT,
-    Object.assign({ total: 2, 'msg': chalk.yellow('connecting') }, PROGRESS_BAR_OPTIONS)
-  );
+/**
+ * Convert local files as if they were downloaded
+ * @param {Array} files Paths of the files and directories to convert
+ * @param {*} options Options passed on the command line
+ */
+async function convertFiles(files, options) {
+  setup(options);
+  const items = localItems(files, findMediaFiles);
+  const downloader = createDownloader(options, 'convert');
+  await runAll('convert', items, options, (item, onEvent) => downloader.convert(item.file, { onEvent: onEvent }), printCompletion);
+}
 
-  let info;
+/**
+ * Run the HTTP server until the process is stopped
+ * @param {*} options Options passed on the command line, along with the options of the serve command
+ */
+async function serve(options) {
+  setup(options);
+  if (!(options.jobs >= 1)) log.fatal(new errors.UsageError('Number of parallel jobs must be at least 1'));
   try {
-    info = await ytdl.getInfo(url);
-    downloadProgress.tick(1, { 'msg': chalk.green('downloaded') });
-    var targetFormat = isLowQualityPreferred ?
-      util.smallestSizeFormat(info) :
-      util.highestBitrateFormat(info);
-
-    if (!targetFormat) error('No formats of this video contain audio.');
-    downloadProgress.tick(1, { 'msg': chalk.yellow('bitrate: ' + targetFormat.audioBitrate + 'kbps') });
-    log.debug('Best match: Itag: ' + targetFormat.itag + '.');
-
-    var title = 'unknown';
-    try {
-      title = util.parseSongName(info.videoDetails);
-    } catch (e) {
-      log.debug('Unable to determine song name due to: ' + e.stack);
-    }
-
-    const videoMetadata = {
-      title: title,
-      format: targetFormat
-    };
-    log.debug('Video metadata: ' + JSON.stringify(videoMetadata));
-    return videoMetadata;
+    const server = new Server(Object.assign({}, options, { logger: log }));
+    await server.listen();
   } catch (err) {
-    log.error(err, 'Unable to fetch video metadata from youtube.');
-    throw err;
+    log.fatal(err);
   }
+  log.info(chalk.bold('Listening on http://' + options.host + ':' + options.port + ', jobs are stored in ' + path.resolve(options.dataDir)));
 }
 
 /**
- * Download the youtube video at the specified url and with the given metadata settings (containing the specific ITAG to download)
- * @param {String} url URL of the youtube video to download
- * @param {*} metadata 
- * @returns A Promise which will contain the raw video bytes.
+ * Set up the logger from the options shared by every command
+ * @param {*} options Options passed on the command line
  */
-function downloadVideo(url, metadata) {
-  /* Start downloading the video */
-  let downloadProgress;
-  let data = Buffer.alloc(0);
-  let dlStartTime = util.nowSeconds();
-
+function setup(options) {
   try {
-    return new Promise((resolve) => {
-      ytdl(url, { quality: metadata.format.itag }) //TODO: Maybe just use 'highestaudio'
-        .on('progress', (chunkLen, totalDownloaded, totalSize) => {
-          if (!downloadProgress) {
-            downloadProgress = new ProgressBar(
-              DL_PROGRESS_BAR_FORMAT,
-              Object.assign({ total: totalSize }, PROGRESS_BAR_OPTIONS)
-            );
-          }
-
-          var now = util.nowSeconds();
-          var ratio = totalDownloaded / totalSize;
-          var dlRate = totalDownloaded / Math.max((now - dlStartTime), 1);
-          downloadProgress.update(ratio, {
-            'amount': prettyBytes(totalDownloaded) + '/' + prettyBytes(totalSize),
-            'dlSpeed': prettyBytes(dlRate) + '/s'
-          });
-        })
-        .on('data', (chunk) => {
-          data = Buffer.concat([data, chunk], data.length + chunk.length);
-        })
-        .on('end', () => { resolve(data); })
-        .on('error', (err) => log.error(err, 'Unexpected problem while downloading video.'));
-    });
+    log = new Log(options.verbose, { json: options.json, logFile: options.logFile, logLevel: options.logLevel });
   } catch (err) {
-    log.error(err, 'Unable to download video from youtube.');
-    process.exit(54); 
+    log.fatal(new errors.UsageError('Unable to open log file ' + options.logFile + ': ' + err.message, err));
   }
+  /* Nobody is there to answer prompts when the output is parsed by another program */
+  if (options.json) options.prompt = false;
 }
 
 /**
- * Write the video file to local disk
- * @param {*} videoMetadata  Video metadata retrieved from youtube
- * @param {Buffer} data the raw bytes of the video file
- * @param {Boolean} videoOnlyMode Whether youtube-mp3 is running in video only mode or not
- * @returns path to written video
+ * Create the downloader running the pipelines, exits if the options are invalid. Prints the header once it is ready to start.
+ * @param {*} options Options passed on the command line
+ * @param {String} command Name of the command, download, convert or tag
+ * @returns The Downloader
  */
-function writeVideoFile(videoMetadata, data, videoOnlyMode) {
-  let videoFileName = sanitize(videoMetadata.title + '.' + (videoMetadata.format.container || 'mp4'));
-  if (videoOnlyMode) {
-    videoFileName = path.join('./', path.basename(videoFileName));
-    log.info('Writing video file to ' + videoFileName);
-  } else {
-    videoFileName = path.join('/tmp/', path.basename(videoFileName));
-    log.debug('Writing intermediate video file to ' + videoFileName);
+function createDownloader(options, command) {
+  if (!(options.jobs >= 1)) log.fatal(new errors.UsageError('Number of parallel jobs must be at least 1'));
+  let downloader;
+  try {
+    downloader = new Downloader(Object.assign({}, options, {
+      logger: log,
+      resolveMetadata: options.prompt ? promptMetadata(options) : undefined
+    }));
+  } catch (err) {
+    log.fatal(err);
   }
-  fs.writeFileSync(videoFileName, data);
-  return videoFileName;
+
+  if (!options.json) printHeader();
+  log.debug('Verbose mode enabled');
+  log.debug('Using ' + options.separator.map((e) => '\'' + e + '\'').join(', ') + ' as video title separator(s).');
+  if (command !== 'tag') log.debug('Converting to ' + options.format + '.');
+  log.debug('Using ' + options.providers.join(', ') + ' as metadata provider(s).');
+  if (options.bitrate && command !== 'tag') log.debug('Set output bitrate to ' + options.bitrate + 'kbps.');
+  return downloader;
 }
 
 /**
- * Convert the video data into an MP3 using ffmpeg
- * @param {*} videoMetadata Video metadata retrieved from youtube
- * @param {Buffer} data The raw bytes of the video file
- * @param {Boolean} keepVideoFile Whether to keep the intermediate downloaded video file
- * @param {Number} bitrate Desired bitrate of the outputted mp3, defaults to the source video file audio bitrate
- * @returns A Promise containing the file name of the converted mp3
+ * List the local files to process, exits if one of them does not exist
+ * @param {Array} files Paths of files and directories
+ * @param {Function} find Lists the files of the paths, findAudioFiles or findMediaFiles
+ * @returns Items to pass to runAll
  */
-function convertVideoToMp3(videoMetadata, videoFileName, keepVideoFile, bitrate) {
-  const musicFileName = '/tmp/' + sanitize(videoMetadata.title + '.mp3');
-  const outputBitrate = bitrate || videoMetadata.format.audioBitrate;
-
-  log.debug('Converting MP3 to ' + musicFileName);
-  /* Convert to an mp3 */
-  var convertProgress = new ProgressBar(
-    CONVERT_PROGRESS_BAR_FORMAT,
-    Object.assign({ total: 100 }, PROGRESS_BAR_OPTIONS)
-  );
-  var last = 0;
-
-  return new Promise((resolve) => {
-    ffmpeg(videoFileName)
-      .format('mp3')
-      .audioBitrate(outputBitrate)
-      .on('error', function (err, stdout, stderr) {
-        log.error(err, 'Ffmpeg encountered an error converting video to mp3.');
-        process.exit(53);
-      })
-      .on('progress', function (progress) {
-        var diff = Math.ceil(progress.percent) - last;
-        last = Math.ceil(progress.percent);
-        convertProgress.tick(diff, { speed: progress.currentKbps + 'kbps' });
-      })
-      .on('end', function () {
-        if (!keepVideoFile) { log.debug('Deleting intermediate video file ' + videoFileName); fs.unlinkSync(videoFileName); }
-        resolve(musicFileName);
-      })
-      .save(musicFileName);
-  });
+function localItems(files, find) {
+  try {
+    return find(files).map((file) => ({ file: file }));
+  } catch (err) {
+    log.fatal(err);
+  }
 }
 
 /**
- * Gather song metadata and write ID3 tags to the MP3 file
- * @param {String} musicFileName Name of the MP3 file
- * @param {*} videoMetadata Video metadata downloaded from youtube
- * @param {Array} separators Separators to use when attempting to manually parse the video title
- * @returns A Promise containing the final resolved metadata
+ * Run the pipeline of every item, one at a time or in parallel batches, then exit with the exit code of the failures
+ * @param {String} command Name of the command, download, convert or tag, used in the messages
+ * @param {Array} items Videos as returned by playlist.expandUrls, or local files as { file }
+ * @param {*} options Options passed on the command line
+ * @param {Function} start Starts the pipeline of an item, called with the item and the onEvent callback, returns a Promise
+ * @param {Function} printResult Prints the result of the pipeline when there is a single item
  */
-async function writeId3Tags(musicFileName, videoMetadata, separators) {
-  log.debug('Processing video metadata...');
-
-  let metadata = await gatherMetadata(videoMetadata, separators);
-  // TODO: Maybe just make the metadata a proper class...
-  metadata = util.filter(metadata, (k, v) => {
-    if (!v) return false;
-    return METADATA_FIELDS.includes(k);
-  });
+async function runAll(command, items, options, start, printResult) {
+  if (items.length === 0) {
+    log.info('Nothing to ' + command + '.');
+    return;
+  }
 
-  log.debug('Writing mp3 metadata...');
-  return new Promise((resolve) => {
-    ffMetadata.write(musicFileName, metadata, function (err) {
-      if (err) log.warning(err, "Failed to write mp3 metadata.", err);
-      resolve(metadata);
-    });
-  });
-};
+  if (items.length === 1) {
+    let result;
+    try {
+      result = await runItem(items[0], start, options.json ? null : newProgressBar);
+    } catch (err) {
+      /* The error event was already emitted by runItem */
+      if (options.json) process.exit(errors.exitCodeOf(err));
+      log.fatal(err, 'Unable to ' + command + ' ' + itemName(items[0]) + '.');
+    }
+    printResult(result);
+    return;
+  }
+
+  if (options.output) log.fatal(new errors.UsageError('Cannot use --output with more than one ' + (items[0].file ? 'file' : 'video')));
+
+  log.info(chalk.bold(COMMAND_PROGRESSIVES[command] + ' ' + items.length + ' ' + (items[0].file ? 'files' : 'videos') + ', ' +
+    options.jobs + ' at a time...\n'));
+  const queue = new JobQueue(options.jobs);
+  const multiBar = options.json ? null : new MultiProgress(process.stderr);
+  const results = await Promise.allSettled(items.map((item, i) => {
+    const label = chalk.cyan('[' + (i + 1) + '/' + items.length + ']') + ' ';
+    const bars = options.json ? null : (format, opts) => multiBar.newBar(label + format, opts);
+    return queue.add(() => runItem(item, start, bars));
+  }));
+
+  printSummary(items, results);
+  /* Failures of a single kind keep their exit code, mixed failures can't be told apart */
+  const exitCodes = new Set(results.filter((result) => result.status === 'rejected').map((result) => errors.exitCodeOf(result.reason)));
+  if (exitCodes.size === 1) process.exit(exitCodes.values().next().value);
+  if (exitCodes.size > 1) process.exit(errors.EXIT_CODES.UNKNOWN);
+}
 
 /**
- * Finalize the MP3 by copying the intermediate mp3 file to its final location in the current directory, renaming it to whatever was specified on the command
- * line if necessary. Verify the tags written on the file.
- * @param {*} metadata Video metadata downloaded from youtube
- * @param {String} intermediateMp3Filename Path to the intermediate mp3 file
- * @param {*} customOutputFile Custom output filename if provided, otherwise defaults to the '{artist} - {title}.mp3'
- * @returns A Promise containing the metadata read from the final MP3
+ * Use config values as the defaults of the program options. Options of the commands, like port for serve or dryRun for tag, are set on
+ * every command which has them, the command being run picks its own.
+ * @param {*} values Option values keyed by their camelCase name, as returned by config.loadConfig
  */
-function finalizeMp3(metadata, intermediateMp3Filename, customOutputFile) {
-    let outputFileName = './' + metadata.artist + ' - ' + metadata.title + '.mp3';
+function applyConfig(values) {
+  const commands = allCommands(program);
+  Object.keys(values).forEach((key) => {
+    const found = key === 'config' || key === 'profile' ? [] : commands
+      .map((command) => ({ command: command, option: findOption(command, key) }))
+      .filter((match) => match.option);
+    if (found.length === 0) throw new errors.UsageError('Unknown option ' + key + ' in config file.');
+    found.forEach((match) => applyConfigValue(match.command, match.option, key, values[key]));
+  });
+}
 
-    if (customOutputFile) {
-        outputFileName = sanitize(customOutputFile);
-        outputFileName = outputFileName.endsWith('.mp3') ? outputFileName : outputFileName + '.mp3';
-    }
+/* The program and its subcommands, recursively */
+function allCommands(command) {
+  return [command].concat(...command.commands.map((subcommand) => allCommands(subcommand)));
+}
+
+/* Option of a command by its camelCase name, --artwork rather than --no-artwork when both exist */
+function findOption(command, key) {
+  return command.options.find((opt) => opt.attributeName() === key && !opt.negate) ||
+    command.options.find((opt) => opt.attributeName() === key);
+}
 
-    log.debug('Writing final mp3 file: ' + outputFileName);
+function applyConfigValue(command, option, key, configValue) {
+  let value = configValue;
+  if (option.variadic && !Array.isArray(value)) value = [value];
+  /* Values written as strings go through the same parsing and validation as on the command line */
+  if (typeof value === 'string' && option.parseArg) {
     try {
-        fsExtra.copySync(intermediateMp3Filename, outputFileName);
-        fs.unlinkSync(intermediateMp3Filename);
+      value = option.parseArg(value, undefined);
     } catch (err) {
-        log.error(err, 'Unable to write ' + outputFileName + '.');
+      throw new errors.UsageError('Invalid value ' + configValue + ' of option ' + key + ' in config file. ' + err.message, err);
     }
+  }
+  /* An option with an optional value, like --normalize [mode], can also be set to true */
+  if (option.argChoices && !option.argChoices.includes(value) && !(option.optional && typeof value === 'boolean')) {
+    throw new errors.UsageError('Invalid value ' + value + ' of option ' + key + ' in config file. Allowed choices are ' + option.argChoices.join(', ') + '.');
+  }
+  /* A variadic option given on the command line replaces its default instead of being appended to it */
+  option.default(value);
+  command.setOptionValue(key, value);
+}
+
+/**
+ * Run the pipeline of a video or a local file and report its outcome as a complete, skipped or error event
+ * @param {*} item Video as returned by playlist.expandUrls, or local file as { file }
+ * @param {Function} start Starts the pipeline, see runAll
+ * @param {Function} bars Factory used to create the progress bars of this item, takes the same arguments as the ProgressBar
+ * constructor. No bars are drawn when null.
+ * @returns A Promise containing the result of the pipeline
+ */
+async function runItem(item, start, bars) {
+  const source = item.file ? { file: item.file } : { url: item.url, id: item.id };
+  try {
+    if (item.error) throw item.error;
+    const result = await start(item, eventHandler(bars));
+    log.event(result.skipped ? 'skipped' : 'complete', Object.assign({}, source, result));
+    return result;
+  } catch (err) {
+    log.event('error', Object.assign({}, source, { error: describeError(err) }));
+    throw err;
+  }
+}
+
+/* Name of a video or local file in messages */
+function itemName(item) {
+  return item.title || item.url || item.file;
+}
+
+/**
+ * Build the handler of the events of a video: every event goes to the logger, progress events also drive the progress bars
+ * @param {Function} bars Progress bar factory, or null
+ * @returns onEvent callback
+ */
+function eventHandler(bars) {
+  const stageBars = new Map();
+  return (event) => {
+    log.event(event.event, util.filter(event, (k) => k !== 'event'));
+    if (!bars || event.event !== 'progress') return;
+
+    if (!stageBars.has(event.stage)) {
+      stageBars.set(event.stage, bars(PROGRESS_BAR_FORMATS[event.stage], Object.assign({ total: 100 }, PROGRESS_BAR_OPTIONS)));
+    }
+    const tokens = Object.assign({}, event, event.msg ? { msg: chalk.yellow(event.msg) } : {});
+    stageBars.get(event.stage).update(event.percent / 100, tokens);
+  };
+}
+
+/**
+ * Print the result of the download of a single video
+ * @param {*} result Result of Downloader.download
+ */
+function printDownload(result) {
+  if (result.skipped) log.info(chalk.yellow('Already downloaded to ' + result.filename + ', skipping (use --force to download it again).'));
+  if (result.metadata || result.tracks) printCompletion(result);
+}
 
-    log.debug('Reading ' + outputFileName);
-    return new Promise((resolve) => {
-      ffProbe(outputFileName, function (err, data) {
-        if (err) log.error(err, 'Unable to read metadata from ' + outputFileName + '.');
-        else {
-          resolve(data);
-        }
-      });
+/**
+ * Print the details of a successfully converted video
+ * @param {*} result Result of processVideo
+ */
+function printCompletion(result) {
+  log.info('\n' + chalk.bold(chalk.green('Conversion Completed!')));
+  log.info(chalk.green('Runtime:\t' + util.prettyTime(result.runtime)));
+  if (result.tracks) {
+    log.info(chalk.green('Directory:\t' + result.filename));
+    result.tracks.forEach((track) => {
+      log.info(chalk.green('\t\t' + path.basename(track.filename) + ' (' + util.prettyTime(track.format.duration) + ')'));
     });
+    return;
+  }
+  log.info(chalk.green('File:\t\t' + result.filename));
+  log.info(chalk.green('Size:\t\t' + prettyBytes(result.metadata.format.size)));
+  log.info(chalk.green('Length:\t\t' + util.prettyTime(result.metadata.format.duration)));
+  log.info(chalk.green('Bit Rate:\t' + prettyBytes(result.metadata.format.bit_rate) + 'ps'));
 }
 
 /**
- * Gather metadata for the song, trying to load it from the Itunes API, or parsing the title. Asks the user to confirm or modify before returning.
- * @param {*} metadata Video metadata downloaded from youtube
- * @param {Array} separators Separators to use when attempting to parse the song title manually
- * @returns A Promise containing the final song metadata, this is guaranteed to be complete as the user is prompted to confirm/override/enter all the fields.
+ * Print the entries of a download archive
+ * @param {String} archiveFile Path to the archive file
  */
-async function gatherMetadata(metadata, separators) {
-    const meta = {
-        title: metadata.title,
-        artist: null,
-        album: null,
-        genre: null,
-        date: null
-    };
+function listArchive(archiveFile) {
+  const archive = readArchive(archiveFile);
+  archive.entries.forEach((entry) => {
+    const status = fs.existsSync(entry.file) ? chalk.green('\u2714') : chalk.red('\u2718 missing');
+    log.info(entry.id + '\t' + entry.date + '\t' + entry.file + ' ' + status);
+  });
+  log.info(chalk.bold(archive.entries.length + ' files recorded in ' + archiveFile));
+}
 
-    /* First try reading from itunes api */
-    let result = loadItunesMeta(metadata.title);
-    if (!result.success) {
-      /* Fallback to parsing video title if no results from itunes */
-      log.debug('Failed to resolve \''+ meta.title +'\' in Itunes API, falling back to parsing video title...');
-      const parsedInfo = util.parseVideoTitle(metadata.title, separators);
-      if (!parsedInfo.success) {
-        log.debug('Failed to parse video title \''+ meta.title +'\'');
-      } else {
-        Object.assign(meta, parsedInfo);
-        const searchTerm = meta.artist + ' ' + meta.title;
-        /* Try again searching itunes with better title */
-        result = loadItunesMeta(searchTerm);
-      }
-    }
+/**
+ * Remove the entries of a download archive whose file no longer exists
+ * @param {String} archiveFile Path to the archive file
+ * @param {Boolean} dryRun Only print the entries which would be removed
+ */
+function pruneArchive(archiveFile, dryRun) {
+  const archive = readArchive(archiveFile);
+  let removed;
+  try {
+    removed = archive.prune(dryRun);
+  } catch (err) {
+    log.fatal(new errors.OutputWriteError('Unable to write download archive ' + archiveFile + ': ' + err.message, err));
+  }
+  removed.forEach((entry) => log.info((dryRun ? 'Would remove ' : 'Removed ') + entry.id + '\t' + entry.file));
+  log.info(chalk.bold(removed.length + ' entries ' + (dryRun ? 'would be ' : '') + 'removed from ' + archiveFile));
+}
+
+/* Read a download archive, exiting when it is missing or corrupted */
+function readArchive(archiveFile) {
+  if (!fs.existsSync(archiveFile)) log.fatal(new errors.UsageError('Download archive ' + archiveFile + ' does not exist.'));
+  try {
+    return new DownloadArchive(archiveFile);
+  } catch (err) {
+    log.fatal(new errors.UsageError('Unable to read download archive ' + archiveFile + ': ' + err.message, err));
+  }
+}
 
-    if (result.success) {
-      log.debug('Successfully resolved song in Itunes API: ' + JSON.stringify(result));
-      Object.assign(meta, result);
+/**
+ * Default progress bar factory used when a single video is downloaded
+ * @param {String} format Format of the progress bar
+ * @param {*} opts Progress bar options
+ * @returns A new ProgressBar
+ */
+function newProgressBar(format, opts) {
+  return new ProgressBar(format, opts);
+}
+
+/**
+ * Run the given function once no other pipeline is prompting the user, so that prompts of parallel jobs do not get mixed up
+ * @param {Function} fn Function returning a Promise
+ * @returns A Promise containing the result of fn
+ */
+function withPromptLock(fn) {
+  const result = promptLock.then(fn);
+  promptLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Print the outcome of every video or file processed in batch mode
+ * @param {Array} items Videos or files which were processed
+ * @param {Array} results Settled results of each pipeline, in the same order as items
+ */
+function printSummary(items, results) {
+  const succeeded = results.filter((result) => result.status === 'fulfilled').length;
+  log.event('summary', {
+    total: items.length,
+    completed: succeeded,
+    skipped: results.filter((result) => result.status === 'fulfilled' && result.value.skipped).length,
+    failed: items.length - succeeded
+  });
+  log.info('\n' + chalk.bold('Summary: ' + succeeded + '/' + items.length + ' ' + (items[0].file ? 'files' : 'videos') + ' completed'));
+  results.forEach((result, i) => {
+    const name = itemName(items[i]);
+    if (result.status === 'fulfilled' && result.value.skipped) {
+      log.info(chalk.yellow('  \u21B7 ' + name + ' already downloaded to ' + result.value.filename));
+    } else if (result.status === 'fulfilled') {
+      log.info(chalk.green('  \u2714 ' + name + ' -> ' + result.value.filename));
+    } else {
+      const reason = result.reason && result.reason.message || result.reason;
+      log.info(chalk.red('  \u2718 ' + name + ': ' + reason));
     }
+  });
+}
+
+/**
+ * Print the formats of a video as a table, the one which would be downloaded is marked with a star
+ * @param {*} listing Result of Downloader.listFormats
+ */
+function printFormats(listing) {
+  const rows = listing.formats.map((format) => FORMAT_COLUMNS.map((column) => column[1](format)));
+  const widths = FORMAT_COLUMNS.map((column, i) => Math.max(column[0].length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  log.info(chalk.bold('\n' + listing.title + ' (' + listing.id + ')'));
+  log.info('  ' + chalk.bold(line(FORMAT_COLUMNS.map((column) => column[0]))));
+  listing.formats.forEach((format, i) => {
+    const selected = format.itag === listing.selected;
+    log.info(selected ? chalk.green('* ' + line(rows[i])) : '  ' + line(rows[i]));
+  });
+  if (listing.selected === null) log.info(chalk.yellow('No format matches --format-select.'));
+}
+
+/**
+ * Print the metadata a dry run of the tag command would write
+ * @param {String} file Path to the file
+ * @param {*} tags Song metadata
+ */
+function printTags(file, tags) {
+  log.info(chalk.bold('\n' + file));
+  Object.keys(tags).filter((field) => typeof tags[field] !== 'object').forEach((field) => log.info('  ' + field + ':\t' + tags[field]));
+}
+
+/**
+ * Build the metadata resolver asking the user to confirm or modify the song metadata, so it is guaranteed to be complete. With --yes
+ * only the fields which could not be discovered are asked for.
+ * @param {*} options Options passed on the command line
+ * @returns resolveMetadata callback of the Downloader
+ */
+function promptMetadata(options) {
+  return (request) => withPromptLock(async () => {
+    let meta = request.metadata;
+    /* The best match is used unless the user gets to pick between the top candidates */
+    if (!options.yes && request.candidates.length > 1) meta = request.withCandidate(await chooseCandidate(request.candidates));
+
+    /* Overridden fields are never asked for, with --yes only the fields which could not be discovered are */
+    const fieldsToPrompt = options.yes ?
+      metadataUtil.missingFields(meta) :
+      metadataUtil.REQUIRED_METADATA_FIELDS.filter((field) => !(field in request.overrides));
+    if (fieldsToPrompt.length === 0) return meta;
 
     /* Use discovered values as defaults for user to confirm */
     log.info(chalk.bold('\nEnter song metadata:'));
@@ -348,68 +703,47 @@ async function gatherMetadata(metadata, separators) {
       if (!!defaultVal) def.default = defaultVal;
       return def;
     };
-    const promptArgs = {
-      properties: {
-        title: genProperty('Title', meta.title),
-        artist: genProperty('Artist', meta.artist),
-        album: genProperty('Album', meta.album || 'Single'),
-        genre: genProperty('Genre', meta.genre),
-        year: genProperty('Year', meta.date, 'number'),
-      }
+    const properties = {
+      title: genProperty('Title', meta.title),
+      artist: genProperty('Artist', meta.artist),
+      album: genProperty('Album', meta.album || 'Single'),
+      genre: genProperty('Genre', meta.genre),
+      date: genProperty('Year', meta.date, 'number'),
     };
+    const promptArgs = { properties: util.filter(properties, (k) => fieldsToPrompt.includes(k)) };
     prompt.message = '';
     prompt.delimiter = ':';
     prompt.start();
     let results = await prompt.get(promptArgs);
-    return results;
+    return Object.assign(meta, results);
+  });
 }
 
-/* Helper that uses the Itunes API to auto-detect song metadata */
 /**
- * Attempt to lookup the searchTerm in the ItunesAPI, the first result returned by Itunes that seems to approximately match the video title is returned.
- * @param {String} searchTerm Search term used in API call
- * @returns The result with success flag set to true if successful, otherwise result object with success flag set to false.
+ * Ask the user which of the songs found by the metadata providers is the right one
+ * @param {Array} candidates Candidates scoring above the match threshold, best first
+ * @returns A Promise containing the chosen candidate, or null if none of them is right
  */
-function loadItunesMeta(searchTerm) {
-    const url = ITUNES_API_BASE + encodeURIComponent(searchTerm);
-    log.debug('Searching Itunes for \'' + searchTerm + '\' (' + url + ')');
-    let response = request('GET', url);
-    
-    if (response.statusCode !== 200) {
-        log.debug('Itunes API returned ' + response.statusCode + ' status code.');
-        return { success: false };
-    }
-
-    let results = JSON.parse(response.getBody('utf8')).results || [];
-
-    /* Take the first match */
-    let match = results
-      .filter(e => {
-        if (e.kind !== 'song') return false;
-        if (searchTerm.search(new RegExp(e.trackName, 'i')) < 0) return false;
-        if (searchTerm.search(new RegExp(e.artistName, 'i')) < 0) return false;
-        return true;
-      })
-      .shift();
-
-    if (!match) {
-        log.debug('No matches found on Itunes.');
-        return { success: false };
-    }
+async function chooseCandidate(candidates) {
+    const shown = candidates.slice(0, MAX_PROMPTED_CANDIDATES);
+    log.info(chalk.bold('\nMatching songs:'));
+    shown.forEach((candidate, i) => {
+      let line = '  ' + (i + 1) + ') ' + candidate.artist + ' - ' + candidate.title;
+      if (candidate.album) line += ' [' + candidate.album + ']';
+      if (candidate.date) line += ' (' + candidate.date + ')';
+      log.info(line + chalk.gray(' ' + Math.round(candidate.confidence * 100) + '% via ' + candidate.provider));
+    });
+    log.info('  0) None of these');
 
-    const result = {
-      success: true,
-      title: match.trackName,
-      artist: match.artistName,
-      album: match.collectionName,
-      albumUrl: match.artworkUrl100,
-      trackNum: match.trackNumber,
-      trackCount: match.trackCount,
-      genre: match.primaryGenreName,
-      date: match.releaseDate.slice(0, 4)
-    };
-    log.debug('Found a match on Itunes: ' + JSON.stringify(result));
-    return result;
+    prompt.message = '';
+    prompt.delimiter = ':';
+    prompt.start();
+    const result = await prompt.get({
+      properties: {
+        match: { description: 'Match', type: 'integer', minimum: 0, maximum: shown.length, default: 1, required: true }
+      }
+    });
+    return result.match === 0 ? null : shown[result.match - 1];
 }
 
 /**